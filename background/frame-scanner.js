@@ -0,0 +1,136 @@
+/**
+ * 子框架扫描 - 把顶层框架的检测请求按 frameId 转发给标签页中的每个子框架
+ *
+ * 通过 chrome.tabs.sendMessage 的 frameId 选项定向发送，扫描请求和结果不经过页面的 window，
+ * 框架中的页面脚本无法读取关键词，也无法冒充子框架返回结果。
+ *
+ * 子框架的检测按时间片执行，耗时随页面大小变化：检测期间子框架定时发送 frameScanProgress，
+ * 超时按最后一次进度计算，只有长时间没有进度或超过总时长上限的框架才判定为超时，并在结果中单独列出。
+ */
+class FrameScanner {
+    constructor(options = {}) {
+        // 两次进度之间的最长间隔
+        this.timeout = options.timeout || 3000;
+        // 单个框架检测的总时长上限
+        this.maxTimeout = options.maxTimeout || 60000;
+        // 正在检测的框架，键为 tabId:frameId，值为收到进度时调用的函数
+        this.pendingFrames = new Map();
+    }
+
+    init() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleMessage(message, sender, sendResponse));
+    }
+
+    /**
+     * 只接受标签页顶层框架中内容脚本的检测请求，进度只接受正在检测的子框架
+     */
+    handleMessage(message, sender, sendResponse) {
+        if (message.action === 'frameScanProgress' && sender.tab) {
+            const onProgress = this.pendingFrames.get(`${sender.tab.id}:${sender.frameId}`);
+            if (onProgress) {
+                onProgress();
+            }
+            return false;
+        }
+        if (message.action !== 'scanFrames' || !sender.tab || sender.frameId !== 0) {
+            return false;
+        }
+
+        this.scanFrames(sender.tab.id, message.keywords || [], message.timeout || this.timeout)
+            .then(({ results, frames }) => sendResponse({ success: true, results: results, frames: frames }))
+            .catch(error => {
+                console.error('❌ 子框架检测失败:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    /**
+     * 并行检测标签页中除顶层框架外的所有框架
+     * @returns {Promise<Object>} { results, frames }：results 为附带 frameId 和 framePath 的检测结果；
+     *                            frames 为每个子框架的检测状态 { frameId, url, framePath, status, count }，
+     *                            status 为 scanned、timeout（超时，结果缺失）或 unavailable（没有内容脚本或检测出错）
+     */
+    async scanFrames(tabId, keywords, timeout) {
+        const frames = await chrome.webNavigation.getAllFrames({ tabId: tabId }) || [];
+        const framesById = new Map(frames.map(frame => [frame.frameId, frame]));
+
+        const frameResults = await Promise.all(frames
+            .filter(frame => frame.frameId !== 0)
+            .map(async frame => {
+                const framePath = FrameScanner.getFramePath(frame, framesById);
+                const { status, response } = await this.sendToFrame(tabId, frame.frameId,
+                    { action: 'scanFrame', keywords: keywords }, timeout);
+                const results = status === 'scanned' ?
+                    response.results.map(result => ({ ...result, frameId: frame.frameId, framePath: framePath })) : [];
+
+                if (status === 'timeout') {
+                    console.warn(`⚠️ 子框架检测超时，结果缺失: ${frame.url}`);
+                }
+                return {
+                    results: results,
+                    frame: { frameId: frame.frameId, url: frame.url, framePath: framePath, status: status, count: results.length }
+                };
+            }));
+
+        return {
+            results: frameResults.flatMap(item => item.results),
+            frames: frameResults.map(item => item.frame)
+        };
+    }
+
+    /**
+     * 等待子框架返回检测结果，收到进度时重新计时
+     * @returns {Promise<Object>} { status, response }，status 同 scanFrames() 中的框架状态
+     */
+    sendToFrame(tabId, frameId, message, timeout) {
+        const key = `${tabId}:${frameId}`;
+        return new Promise(resolve => {
+            let timer = null;
+            let settled = false;
+            // 超时后到达的响应不再处理，也不能移除同一框架之后的检测
+            const finish = result => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                clearTimeout(deadline);
+                if (this.pendingFrames.get(key) === restartTimer) {
+                    this.pendingFrames.delete(key);
+                }
+                resolve(result);
+            };
+            const restartTimer = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => finish({ status: 'timeout', response: null }), timeout);
+            };
+            const deadline = setTimeout(() => finish({ status: 'timeout', response: null }), this.maxTimeout);
+
+            this.pendingFrames.set(key, restartTimer);
+            restartTimer();
+            chrome.tabs.sendMessage(tabId, message, { frameId: frameId }).then(response => {
+                finish(response && response.success ?
+                    { status: 'scanned', response: response } :
+                    { status: 'unavailable', response: null });
+            }, () => finish({ status: 'unavailable', response: null }));
+        });
+    }
+
+    /**
+     * 从最外层的子框架到当前框架依次列出框架地址
+     */
+    static getFramePath(frame, framesById) {
+        const path = [];
+        let current = frame;
+        while (current && current.frameId !== 0) {
+            path.unshift(current.url);
+            current = framesById.get(current.parentFrameId);
+        }
+        return path;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameScanner;
+} else {
+    self.FrameScanner = FrameScanner;
+}
@@ -0,0 +1,65 @@
+/**
+ * 匹配 Worker 脚本 - 为内容脚本拼接创建匹配 Worker 所需的脚本源码
+ *
+ * 内容脚本读取扩展文件需要把文件声明为 web_accessible_resources，任何网站都能借此探测到扩展。
+ * 改由后台在扩展自身的源中读取并拼接，通过扩展消息交给内容脚本，扩展文件不对网页开放。
+ */
+class MatchWorkerSource {
+    constructor() {
+        this.loading = null;
+    }
+
+    init() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleMessage(message, sendResponse));
+    }
+
+    handleMessage(message, sendResponse) {
+        if (message.action !== 'getMatchWorkerSource') {
+            return false;
+        }
+
+        this.load()
+            .then(source => sendResponse({ success: true, source: source }))
+            .catch(error => {
+                console.error('❌ 加载匹配 Worker 脚本失败:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    /**
+     * 读取并拼接脚本，只读取一次；读取失败时下次重新读取
+     * @returns {Promise<string>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = Promise.all(MatchWorkerSource.SCRIPTS.map(async path => {
+                const response = await fetch(chrome.runtime.getURL(path));
+                if (!response.ok) {
+                    throw new Error(`无法加载 ${path}`);
+                }
+                return response.text();
+            })).then(sources => sources.join('\n;\n'));
+
+            this.loading.catch(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+}
+
+// 拼接为 Worker 的脚本，顺序与内容脚本中的加载顺序一致
+MatchWorkerSource.SCRIPTS = [
+    'content/aho-corasick.js',
+    'content/text-normalizer.js',
+    'content/fuzzy-search.js',
+    'content/keyword-matcher.js',
+    'content/match-worker.js'
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchWorkerSource;
+} else {
+    self.MatchWorkerSource = MatchWorkerSource;
+}
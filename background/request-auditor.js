@@ -0,0 +1,384 @@
+/**
+ * 请求审计 - 在后台 Service Worker 中通过 webRequest 检查每个标签页发出的所有请求
+ *
+ * 覆盖内容脚本看不到的请求：脚本、图片、beacon、子框架，以及内容脚本加载之前发出的请求。
+ * 检测请求地址（包括重定向链上的每一跳）和请求头、响应头中的关键词，并按域名规则标记禁止的
+ * 和未列入允许列表的第三方域名。发现的问题按标签页记录，页面跳转时清空。
+ *
+ * Service Worker 空闲时会被停止，记录同时保存在 chrome.storage.session 中，重新启动后恢复。
+ */
+class RequestAuditor {
+    constructor() {
+        this.matcher = new KeywordMatcher();
+        this.exceptions = new ExceptionRules();
+        this.urlAnalyzer = new UrlAnalyzer();
+        this.domains = new DomainInventory(null);
+        this.tabLogs = new Map();
+        // 每个请求经过的地址，重定向时同一个 requestId 会依次请求多个地址
+        this.redirectChains = new Map();
+        this.persistTimers = new Map();
+        this.ready = null;
+    }
+
+    /**
+     * 注册事件监听并加载设置；Service Worker 要求在启动时同步注册监听
+     */
+    init() {
+        const filter = { urls: ['<all_urls>'] };
+
+        chrome.webRequest.onBeforeRequest.addListener(details => this.handleEvent(() => this.checkRequest(details)), filter);
+        chrome.webRequest.onSendHeaders.addListener(
+            details => this.handleEvent(() => this.checkHeaders(details, details.requestHeaders, 'request_header')),
+            filter, ['requestHeaders']);
+        chrome.webRequest.onHeadersReceived.addListener(
+            details => this.handleEvent(() => this.checkHeaders(details, details.responseHeaders, 'response_header')),
+            filter, ['responseHeaders']);
+        chrome.webRequest.onCompleted.addListener(details => this.redirectChains.delete(details.requestId), filter);
+        chrome.webRequest.onErrorOccurred.addListener(details => this.redirectChains.delete(details.requestId), filter);
+
+        chrome.tabs.onRemoved.addListener(tabId => this.handleEvent(() => this.removeTabLog(tabId)));
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local') {
+                this.applySettings(changes, change => change.newValue);
+            }
+        });
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => this.handleMessage(message, sendResponse));
+
+        this.ready = Promise.all([this.loadSettings(), this.restoreTabLogs()]);
+        return this.ready;
+    }
+
+    /**
+     * 设置和记录恢复完成后再处理事件
+     */
+    async handleEvent(handler) {
+        try {
+            await this.ready;
+            handler();
+        } catch (error) {
+            console.error('❌ 请求审计失败:', error);
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const settings = await chrome.storage.local.get(RequestAuditor.SETTING_KEYS);
+            this.applySettings(settings, value => value);
+        } catch (error) {
+            console.error('❌ 加载匹配设置失败:', error);
+        }
+    }
+
+    /**
+     * 应用匹配设置，与内容脚本使用同一份存储
+     * @param {Object} settings - 存储项或存储变化
+     * @param {Function} getValue - 从存储项或变化中取值
+     */
+    applySettings(settings, getValue) {
+        if (settings.normalization) {
+            this.matcher.setNormalizationOptions(getValue(settings.normalization) || {});
+        }
+        if (settings.obfuscationMode) {
+            this.matcher.setSeparatorTolerant(Boolean(getValue(settings.obfuscationMode)));
+        }
+        if (settings.keywordCategories) {
+            this.matcher.setCategories(getValue(settings.keywordCategories) || []);
+        }
+        if (settings.keywords) {
+            const keywords = (getValue(settings.keywords) || [])
+                .map(keyword => KeywordMatcher.parseKeywordOptions(keyword))
+                .filter(keyword => keyword.keyword.trim().length > 0);
+            this.matcher.compile(keywords);
+        }
+        if (settings.exceptionRules) {
+            this.exceptions.setRules(getValue(settings.exceptionRules) || []);
+        }
+        if (settings.domainRules) {
+            this.domains.setDomainRules(getValue(settings.domainRules) || {});
+        }
+    }
+
+    /**
+     * 检查请求地址，重定向后的地址标记为 redirect_url 并附带完整的重定向链
+     */
+    checkRequest(details) {
+        if (details.tabId < 0) return;
+
+        const chain = (this.redirectChains.get(details.requestId) || []).concat(details.url);
+        this.redirectChains.set(details.requestId, chain);
+
+        // 顶层页面开始加载新地址时清空该标签页的记录，重定向的后续请求属于同一次加载
+        if (details.type === 'main_frame') {
+            if (chain.length === 1) {
+                this.resetTabLog(details.tabId, details.url);
+            } else {
+                this.getTabLog(details.tabId).pageUrl = details.url;
+            }
+        }
+
+        const isRedirect = chain.length > 1;
+        this.findUrlMatches(details.url).forEach(group => {
+            this.addFinding(details, {
+                ...RequestAuditor.describeGroup(group),
+                type: isRedirect ? 'redirect_url' : 'request_url',
+                urlComponent: group.urlComponent,
+                matchedUrl: group.matchedUrl,
+                redirectChain: isRedirect ? chain : null,
+                content: isRedirect ? `重定向: ${chain.join(' → ')}` : `请求URL: ${details.url}`
+            });
+        });
+
+        this.checkDomain(details, chain);
+    }
+
+    /**
+     * 按域名规则标记第三方请求：禁止的域名，以及设置了允许列表时未列入的域名
+     */
+    checkDomain(details, chain) {
+        let host;
+        try {
+            host = new URL(details.url).hostname.toLowerCase();
+        } catch (error) {
+            return;
+        }
+
+        const log = this.getTabLog(details.tabId);
+        const pageHost = RequestAuditor.getHost(log.pageUrl);
+        if (!host || host === pageHost) return;
+
+        const status = this.domains.getDomainStatus(host);
+        if (this.domains.isFlagged(status)) {
+            this.addFinding(details, {
+                type: 'domain',
+                keyword: host,
+                severity: status === 'denied' ? 'block' : 'warn',
+                domainStatus: status,
+                redirectChain: chain.length > 1 ? chain : null,
+                content: `${status === 'denied' ? '禁止的域名' : '未允许的域名'}: ${UrlAnalyzer.toUnicodeHost(host)}`
+            });
+        }
+    }
+
+    /**
+     * 检查请求头或响应头，Location 等地址类头部按地址组成部分匹配
+     * @param {Object} details - webRequest 事件详情
+     * @param {Array} headers - { name, value }
+     * @param {string} type - request_header | response_header
+     */
+    checkHeaders(details, headers, type) {
+        if (details.tabId < 0 || !headers) return;
+
+        headers.forEach(({ name, value }) => {
+            const headerName = name.toLowerCase();
+            if (!value || RequestAuditor.SKIPPED_HEADERS.includes(headerName) ||
+                RequestAuditor.PAGE_URL_HEADERS.includes(headerName)) {
+                return;
+            }
+
+            const groups = RequestAuditor.URL_HEADERS.includes(headerName) ?
+                this.findUrlMatches(value, details.url) :
+                this.findKeywordMatches(value, { scope: 'attribute' });
+
+            groups.forEach(group => {
+                this.addFinding(details, {
+                    ...RequestAuditor.describeGroup(group),
+                    type: type,
+                    header: headerName,
+                    urlComponent: group.urlComponent,
+                    matchedUrl: group.matchedUrl,
+                    content: `${name}: ${value.substring(0, 200)}${value.length > 200 ? '...' : ''}`
+                });
+            });
+        });
+    }
+
+    findKeywordMatches(text, options = {}) {
+        if (this.matcher.keywords.length === 0) return [];
+        return this.exceptions.groupMatches(this.matcher, this.matcher.findMatches(text, options), text);
+    }
+
+    findUrlMatches(url, baseUrl = url) {
+        if (this.matcher.keywords.length === 0) return [];
+        return this.urlAnalyzer.findMatches(url, baseUrl, 'href', (text, options) => this.findKeywordMatches(text, options));
+    }
+
+    static describeGroup({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) {
+        return {
+            keyword: keyword,
+            category: category,
+            severity: severity,
+            matchedText: matchedText,
+            distance: distance,
+            evasion: evasion,
+            suppressedBy: suppressedBy
+        };
+    }
+
+    /**
+     * 记录发现的问题，同一请求地址上的同一问题只记录一次并累计次数
+     * @param {Object} details - webRequest 事件详情
+     * @param {Object} finding - 问题描述
+     */
+    addFinding(details, finding) {
+        const log = this.getTabLog(details.tabId);
+        const result = {
+            ...finding,
+            url: details.url,
+            method: details.method,
+            resourceType: details.type,
+            frameId: details.frameId,
+            initiator: details.initiator || null,
+            timestamp: new Date().toISOString(),
+            count: 1
+        };
+
+        // 与页面检测共用例外规则，地址规则按请求地址判断
+        const rule = result.suppressedBy || this.exceptions.findResultRule(result);
+        const list = rule ? log.suppressed : log.findings;
+        if (rule) {
+            result.suppressedBy = ExceptionRules.formatRule(rule);
+        } else {
+            delete result.suppressedBy;
+        }
+
+        const key = [result.type, result.keyword, result.header || '', result.url].join('|');
+        const existing = list.find(item => item.key === key);
+        if (existing) {
+            existing.count++;
+            existing.timestamp = result.timestamp;
+        } else if (list.length < RequestAuditor.MAX_FINDINGS_PER_TAB) {
+            list.push({ ...result, key: key });
+        }
+
+        this.schedulePersist(details.tabId);
+    }
+
+    getTabLog(tabId) {
+        if (!this.tabLogs.has(tabId)) {
+            this.tabLogs.set(tabId, { pageUrl: null, findings: [], suppressed: [] });
+        }
+        return this.tabLogs.get(tabId);
+    }
+
+    resetTabLog(tabId, pageUrl) {
+        this.tabLogs.set(tabId, { pageUrl: pageUrl, findings: [], suppressed: [] });
+        this.schedulePersist(tabId);
+    }
+
+    removeTabLog(tabId) {
+        this.tabLogs.delete(tabId);
+        clearTimeout(this.persistTimers.get(tabId));
+        this.persistTimers.delete(tabId);
+        chrome.storage.session.remove(RequestAuditor.getStorageKey(tabId)).catch(error => {
+            console.error('❌ 清除请求审计记录失败:', error);
+        });
+    }
+
+    /**
+     * 合并短时间内的多次写入
+     */
+    schedulePersist(tabId) {
+        if (this.persistTimers.has(tabId)) return;
+
+        this.persistTimers.set(tabId, setTimeout(async () => {
+            this.persistTimers.delete(tabId);
+            const log = this.tabLogs.get(tabId);
+            if (!log) return;
+
+            try {
+                await chrome.storage.session.set({ [RequestAuditor.getStorageKey(tabId)]: log });
+            } catch (error) {
+                console.error('❌ 保存请求审计记录失败:', error);
+            }
+        }, RequestAuditor.PERSIST_DELAY));
+    }
+
+    async restoreTabLogs() {
+        try {
+            const items = await chrome.storage.session.get(null);
+            Object.keys(items).forEach(key => {
+                if (key.startsWith(RequestAuditor.STORAGE_PREFIX)) {
+                    this.tabLogs.set(Number(key.slice(RequestAuditor.STORAGE_PREFIX.length)), items[key]);
+                }
+            });
+        } catch (error) {
+            console.error('❌ 恢复请求审计记录失败:', error);
+        }
+    }
+
+    handleMessage(message, sendResponse) {
+        switch (message.action) {
+            case 'getTabFindings':
+                this.handleEvent(() => sendResponse(this.getTabFindings(message.tabId)));
+                return true;
+
+            case 'clearTabFindings':
+                this.handleEvent(() => {
+                    const log = this.getTabLog(message.tabId);
+                    this.resetTabLog(message.tabId, log.pageUrl);
+                    sendResponse({ success: true });
+                });
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {number} tabId - 标签页 ID
+     * @returns {Object} { success, pageUrl, findings, count, severity, suppressedCount }
+     */
+    getTabFindings(tabId) {
+        const log = this.getTabLog(tabId);
+        const severity = {};
+        KeywordMatcher.SEVERITIES.forEach(level => {
+            severity[level] = log.findings.filter(finding => finding.severity === level).length;
+        });
+
+        return {
+            success: true,
+            pageUrl: log.pageUrl,
+            findings: log.findings.map(({ key, ...finding }) => finding),
+            count: log.findings.length,
+            severity: severity,
+            suppressedCount: log.suppressed.length
+        };
+    }
+
+    static getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static getStorageKey(tabId) {
+        return RequestAuditor.STORAGE_PREFIX + tabId;
+    }
+}
+
+// 与内容脚本共用的匹配设置
+RequestAuditor.SETTING_KEYS = ['keywords', 'keywordCategories', 'normalization', 'obfuscationMode', 'exceptionRules', 'domainRules'];
+
+// 按地址匹配的头部
+RequestAuditor.URL_HEADERS = ['location', 'content-location', 'link', 'refresh'];
+
+// 携带当前页面地址的请求头不检测，否则页面地址中的关键词会让标签页中的每个子资源请求都产生一条记录；
+// 页面地址已在主框架请求中检测
+RequestAuditor.PAGE_URL_HEADERS = ['referer', 'origin'];
+
+// 凭据类头部不检测，避免写入记录
+RequestAuditor.SKIPPED_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+// 每个标签页最多记录的问题数
+RequestAuditor.MAX_FINDINGS_PER_TAB = 500;
+
+RequestAuditor.PERSIST_DELAY = 1000;
+
+RequestAuditor.STORAGE_PREFIX = 'tabFindings_';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestAuditor;
+} else {
+    self.RequestAuditor = RequestAuditor;
+}
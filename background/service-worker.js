@@ -0,0 +1,24 @@
+/**
+ * 后台 Service Worker 入口 - 加载与内容脚本共用的匹配器，启动请求审计、子框架扫描和匹配 Worker 脚本服务
+ */
+importScripts(
+    '/content/aho-corasick.js',
+    '/content/text-normalizer.js',
+    '/content/fuzzy-search.js',
+    '/content/keyword-matcher.js',
+    '/content/exception-rules.js',
+    '/content/url-analyzer.js',
+    '/content/domain-inventory.js',
+    '/background/request-auditor.js',
+    '/background/frame-scanner.js',
+    '/background/match-worker-source.js'
+);
+
+const requestAuditor = new RequestAuditor();
+requestAuditor.init();
+
+const frameScanner = new FrameScanner();
+frameScanner.init();
+
+const matchWorkerSource = new MatchWorkerSource();
+matchWorkerSource.init();
@@ -0,0 +1,105 @@
+/**
+ * Aho–Corasick 自动机 - 一次扫描即可找出文本中所有关键词的出现位置
+ */
+class AhoCorasick {
+    /**
+     * @param {string[]} patterns - 模式串数组（调用方负责大小写归一）
+     */
+    constructor(patterns = []) {
+        this.patterns = [];
+        this.transitions = [];
+        this.failure = [];
+        this.outputs = [];
+        this.build(patterns);
+    }
+
+    /**
+     * 构建自动机
+     * @param {string[]} patterns - 模式串数组
+     */
+    build(patterns) {
+        this.patterns = patterns;
+        this.transitions = [new Map()];
+        this.failure = [0];
+        this.outputs = [[]];
+
+        // 构建字典树
+        patterns.forEach((pattern, patternIndex) => {
+            if (!pattern) return;
+
+            let state = 0;
+            for (const char of pattern) {
+                let next = this.transitions[state].get(char);
+                if (next === undefined) {
+                    next = this.transitions.length;
+                    this.transitions.push(new Map());
+                    this.failure.push(0);
+                    this.outputs.push([]);
+                    this.transitions[state].set(char, next);
+                }
+                state = next;
+            }
+            this.outputs[state].push(patternIndex);
+        });
+
+        // 按层次遍历计算失败指针，并合并后缀状态的输出
+        const queue = [];
+        this.transitions[0].forEach(next => queue.push(next));
+
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+
+            this.transitions[state].forEach((next, char) => {
+                queue.push(next);
+
+                let fallback = this.failure[state];
+                while (fallback !== 0 && !this.transitions[fallback].has(char)) {
+                    fallback = this.failure[fallback];
+                }
+                const target = this.transitions[fallback].get(char);
+                this.failure[next] = target !== undefined && target !== next ? target : 0;
+
+                if (this.outputs[this.failure[next]].length > 0) {
+                    this.outputs[next] = this.outputs[next].concat(this.outputs[this.failure[next]]);
+                }
+            });
+        }
+    }
+
+    /**
+     * 在文本中查找所有模式串（包含重叠的匹配）
+     * @param {string} text - 待检测文本
+     * @returns {Array} 匹配结果 { patternIndex, start, end }
+     */
+    search(text) {
+        const matches = [];
+        if (!text || this.transitions[0].size === 0) return matches;
+
+        let state = 0;
+        let offset = 0;
+
+        for (const char of text) {
+            while (state !== 0 && !this.transitions[state].has(char)) {
+                state = this.failure[state];
+            }
+            state = this.transitions[state].get(char) || 0;
+            offset += char.length;
+
+            this.outputs[state].forEach(patternIndex => {
+                matches.push({
+                    patternIndex: patternIndex,
+                    start: offset - this.patterns[patternIndex].length,
+                    end: offset
+                });
+            });
+        }
+
+        return matches;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AhoCorasick;
+} else {
+    self.AhoCorasick = AhoCorasick;
+}
@@ -7,6 +7,16 @@ class PageAnnotator {
         this.isEnabled = true;
         this.annotationCounter = 0;
         this.styleSheet = null;
+        this.highlightName = 'keyword-match';
+        // 文本高亮 { range, severity, result }，按严重程度分别注册 Highlight
+        this.highlightRanges = [];
+        this.highlightLayer = null;
+        // 页面样式表不作用于 Shadow DOM，::highlight 样式另外加入含有高亮的影子根
+        this.shadowHighlightSheet = null;
+        this.adoptedRoots = new Set();
+        // 文本高亮不改动页面元素，鼠标悬停在命中文字上时显示共用的提示框
+        this.textTooltip = null;
+        this.textTooltipHandler = null;
         this.init();
     }
 
@@ -34,12 +44,19 @@ class PageAnnotator {
         }
 
         results.forEach((result, index) => {
-            this.annotateElement(result, index + 1);
+            // 文本结果只高亮命中的字符，不改动所在元素
+            if (result.ranges && result.ranges.length > 0) {
+                this.highlightTextRanges(result);
+            } else {
+                this.annotateElement(result, index + 1);
+            }
         });
 
+        this.renderTextHighlights();
+
         // 只在有标注时输出简洁信息
-        if (this.annotations.size > 0) {
-            console.log(`🎨 已标注 ${this.annotations.size} 个元素`);
+        if (this.annotations.size > 0 || this.highlightRanges.length > 0) {
+            console.log(`🎨 已标注 ${this.annotations.size} 个元素，高亮 ${this.highlightRanges.length} 处文本`);
         }
     }
 
@@ -53,7 +70,8 @@ class PageAnnotator {
             // 移除样式类
             element.classList.remove(
                 'keyword-annotation', 
-                'keyword-annotation-warning', 
+                'keyword-annotation-block', 
+                'keyword-annotation-warn', 
                 'keyword-annotation-info',
                 'keyword-highlight'
             );
@@ -75,6 +93,181 @@ class PageAnnotator {
         
         this.annotations.clear();
         this.annotationCounter = 0;
+        this.clearTextHighlights();
+    }
+
+    /**
+     * 收集文本结果中每次命中对应的 Range
+     * @param {Object} result - 检测结果
+     */
+    highlightTextRanges(result) {
+        const severity = this.getSeverity(result);
+        result.ranges.forEach(({ node, start, end }) => {
+            if (!node || !node.isConnected || end > node.length) {
+                return;
+            }
+
+            const range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            this.highlightRanges.push({ range: range, severity: severity, result: result });
+        });
+    }
+
+    /**
+     * 绘制文本高亮：优先使用 CSS Custom Highlight API，不修改页面DOM；
+     * 不支持时在独立的覆盖层上按 Range 的位置绘制高亮块
+     */
+    renderTextHighlights() {
+        if (this.highlightRanges.length === 0) {
+            return;
+        }
+
+        this.enableTextTooltip();
+
+        if (this.supportsHighlightAPI()) {
+            // 无法加入样式的影子根中的高亮改用覆盖层绘制
+            const overlayItems = this.highlightRanges.filter(item => !this.adoptHighlightStyles(item.range));
+            const styledItems = this.highlightRanges.filter(item => !overlayItems.includes(item));
+
+            KeywordMatcher.SEVERITIES.forEach(severity => {
+                const ranges = styledItems
+                    .filter(item => item.severity === severity)
+                    .map(item => item.range);
+                if (ranges.length > 0) {
+                    const highlight = new Highlight(...ranges);
+                    // 严重程度越高优先级越高，重叠时显示更严重的颜色
+                    highlight.priority = KeywordMatcher.SEVERITIES.length - KeywordMatcher.SEVERITIES.indexOf(severity);
+                    CSS.highlights.set(`${this.highlightName}-${severity}`, highlight);
+                }
+            });
+            this.renderHighlightLayer(overlayItems);
+            return;
+        }
+
+        this.renderHighlightLayer(this.highlightRanges);
+    }
+
+    /**
+     * 让 Range 所在的影子根使用 ::highlight 样式，文档中的 Range 由页面样式表处理
+     * @returns {boolean} Range 的高亮样式是否可用
+     */
+    adoptHighlightStyles(range) {
+        const root = range.startContainer.getRootNode();
+        if (!(root instanceof ShadowRoot) || this.adoptedRoots.has(root)) {
+            return true;
+        }
+        if (!('adoptedStyleSheets' in root) || typeof CSSStyleSheet.prototype.replaceSync !== 'function') {
+            return false;
+        }
+
+        try {
+            if (!this.shadowHighlightSheet) {
+                this.shadowHighlightSheet = new CSSStyleSheet();
+                this.shadowHighlightSheet.replaceSync(PageAnnotator.HIGHLIGHT_STYLES);
+            }
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, this.shadowHighlightSheet];
+            this.adoptedRoots.add(root);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 在独立的覆盖层上按 Range 的位置绘制高亮块
+     * @param {Array} items - { range, severity }
+     */
+    renderHighlightLayer(items) {
+        if (items.length === 0) {
+            return;
+        }
+
+        this.highlightLayer = document.createElement('div');
+        this.highlightLayer.className = 'keyword-highlight-layer';
+        this.highlightLayer.setAttribute('data-keyword-annotator', '');
+
+        items.forEach(({ range, severity }) => {
+            Array.from(range.getClientRects()).forEach(rect => {
+                const box = document.createElement('div');
+                box.className = `keyword-highlight-rect keyword-highlight-${severity}`;
+                box.style.left = `${rect.left + window.scrollX}px`;
+                box.style.top = `${rect.top + window.scrollY}px`;
+                box.style.width = `${rect.width}px`;
+                box.style.height = `${rect.height}px`;
+                this.highlightLayer.appendChild(box);
+            });
+        });
+
+        document.documentElement.appendChild(this.highlightLayer);
+    }
+
+    /**
+     * 鼠标移到高亮文字上时显示对应结果的提示框；按文字所在元素索引高亮，只检查指针下元素中的 Range
+     */
+    enableTextTooltip() {
+        const rangesByElement = new Map();
+        this.highlightRanges.forEach(item => {
+            const element = item.range.startContainer.parentElement;
+            if (!rangesByElement.has(element)) {
+                rangesByElement.set(element, []);
+            }
+            rangesByElement.get(element).push(item);
+        });
+
+        this.textTooltip = document.createElement('div');
+        this.textTooltip.className = 'keyword-tooltip keyword-text-tooltip';
+        this.textTooltip.setAttribute('data-keyword-annotator', '');
+        document.documentElement.appendChild(this.textTooltip);
+
+        this.textTooltipHandler = event => {
+            // Shadow DOM 中的事件在文档上被重定向到宿主，取实际的目标元素
+            const target = event.composedPath()[0];
+            const item = (rangesByElement.get(target) || []).find(({ range }) =>
+                Array.from(range.getClientRects()).some(rect =>
+                    event.clientX >= rect.left && event.clientX <= rect.right &&
+                    event.clientY >= rect.top && event.clientY <= rect.bottom));
+
+            if (!item) {
+                this.textTooltip.classList.remove('keyword-text-tooltip-visible');
+                return;
+            }
+
+            this.textTooltip.textContent = this.getTooltipText(item.result);
+            this.textTooltip.style.setProperty('left', `${event.clientX}px`, 'important');
+            this.textTooltip.style.setProperty('top', `${event.clientY - 12}px`, 'important');
+            this.textTooltip.classList.add('keyword-text-tooltip-visible');
+        };
+        document.addEventListener('mousemove', this.textTooltipHandler, { passive: true });
+    }
+
+    clearTextHighlights() {
+        if (this.textTooltipHandler) {
+            document.removeEventListener('mousemove', this.textTooltipHandler);
+            this.textTooltipHandler = null;
+        }
+        if (this.textTooltip) {
+            this.textTooltip.remove();
+            this.textTooltip = null;
+        }
+        if (this.supportsHighlightAPI()) {
+            KeywordMatcher.SEVERITIES.forEach(severity => {
+                CSS.highlights.delete(`${this.highlightName}-${severity}`);
+            });
+        }
+        this.adoptedRoots.forEach(root => {
+            root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== this.shadowHighlightSheet);
+        });
+        this.adoptedRoots.clear();
+        if (this.highlightLayer) {
+            this.highlightLayer.remove();
+            this.highlightLayer = null;
+        }
+        this.highlightRanges = [];
+    }
+
+    supportsHighlightAPI() {
+        return typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function';
     }
 
     /**
@@ -105,7 +298,33 @@ class PageAnnotator {
 
         // 创建新的样式表
         this.styleSheet = document.createElement('style');
-        this.styleSheet.textContent = `
+        this.styleSheet.setAttribute('data-keyword-annotator', '');
+        this.styleSheet.textContent = PageAnnotator.HIGHLIGHT_STYLES + `
+            .keyword-highlight-layer {
+                position: absolute !important;
+                top: 0 !important;
+                left: 0 !important;
+                width: 0 !important;
+                height: 0 !important;
+                pointer-events: none !important;
+                z-index: 2147483646 !important;
+            }
+            
+            .keyword-highlight-rect {
+                position: absolute !important;
+                background-color: rgba(255, 193, 7, 0.45) !important;
+                border-radius: 2px !important;
+                pointer-events: none !important;
+            }
+            
+            .keyword-highlight-rect.keyword-highlight-block {
+                background-color: rgba(244, 67, 54, 0.4) !important;
+            }
+            
+            .keyword-highlight-rect.keyword-highlight-info {
+                background-color: rgba(33, 150, 243, 0.3) !important;
+            }
+            
             .keyword-annotation {
                 position: relative !important;
                 background-color: rgba(255, 235, 59, 0.3) !important;
@@ -114,7 +333,12 @@ class PageAnnotator {
                 box-shadow: 0 2px 4px rgba(0,0,0,0.1) !important;
             }
             
-            .keyword-annotation-warning {
+            .keyword-annotation-block {
+                background-color: rgba(244, 67, 54, 0.25) !important;
+                border-color: #F44336 !important;
+            }
+            
+            .keyword-annotation-warn {
                 background-color: rgba(255, 152, 0, 0.3) !important;
                 border-color: #FF9800 !important;
             }
@@ -155,6 +379,17 @@ class PageAnnotator {
                 opacity: 1 !important;
             }
             
+            .keyword-text-tooltip {
+                position: fixed !important;
+                transform: translate(-50%, -100%) !important;
+                z-index: 2147483647 !important;
+                transition: none !important;
+            }
+            
+            .keyword-text-tooltip.keyword-text-tooltip-visible {
+                opacity: 1 !important;
+            }
+            
             .keyword-badge {
                 position: absolute !important;
                 top: -8px !important;
@@ -171,6 +406,18 @@ class PageAnnotator {
                 font-weight: bold !important;
                 z-index: 10001 !important;
             }
+            
+            .keyword-badge.badge-block {
+                background: #D32F2F !important;
+            }
+            
+            .keyword-badge.badge-warn {
+                background: #F57C00 !important;
+            }
+            
+            .keyword-badge.badge-info {
+                background: #1976D2 !important;
+            }
         `;
         
         document.head.appendChild(this.styleSheet);
@@ -188,22 +435,24 @@ class PageAnnotator {
             return;
         }
 
+        // head 中的标题、meta 和 script 等元素不会渲染，无法标注
+        if (VisibilityClassifier.UNRENDERED_TAGS.includes(element.tagName)) {
+            return;
+        }
+
         try {
             // 确定标注类型和样式
-            const annotationType = this.getAnnotationType(result.type);
+            const annotationType = this.getAnnotationType(result);
             
             // 添加标注样式
-            element.classList.add('keyword-annotation');
-            if (annotationType !== 'keyword-annotation') {
-                element.classList.add(annotationType.replace('keyword-annotation-', ''));
-            }
+            element.classList.add('keyword-annotation', annotationType);
 
             // 创建提示框
             const tooltip = this.createTooltip(result);
             element.appendChild(tooltip);
 
             // 创建标记徽章
-            const badge = this.createBadge(index, result.type);
+            const badge = this.createBadge(index, this.getSeverity(result));
             element.appendChild(badge);
 
             // 存储标注信息
@@ -225,18 +474,21 @@ class PageAnnotator {
     }
 
     /**
-     * 获取标注类型
-     * @param {string} resultType - 结果类型
+     * 获取标注类型，颜色按严重程度而不是结果类型区分
+     * @param {Object} result - 检测结果
      * @returns {string} 标注类型
      */
-    getAnnotationType(resultType) {
-        const typeMap = {
-            'text': 'keyword-annotation',
-            'link': 'keyword-annotation-warning',
-            'image': 'keyword-annotation-info',
-            'form': 'keyword-annotation-warning'
-        };
-        return typeMap[resultType] || 'keyword-annotation';
+    getAnnotationType(result) {
+        return `keyword-annotation-${this.getSeverity(result)}`;
+    }
+
+    /**
+     * 获取结果的严重程度，旧结果没有该字段时按默认级别处理
+     * @param {Object} result - 检测结果
+     * @returns {string} block | warn | info
+     */
+    getSeverity(result) {
+        return KeywordMatcher.SEVERITIES.includes(result.severity) ? result.severity : KeywordMatcher.DEFAULT_SEVERITY;
     }
 
     /**
@@ -247,36 +499,44 @@ class PageAnnotator {
     createTooltip(result) {
         const tooltip = document.createElement('div');
         tooltip.className = 'keyword-tooltip';
-        tooltip.textContent = `关键词: ${result.keyword} | 类型: ${this.getTypeDisplayName(result.type)}`;
+        tooltip.setAttribute('data-keyword-annotator', '');
+        tooltip.textContent = this.getTooltipText(result);
         return tooltip;
     }
 
+    /**
+     * 提示框内容：关键词、级别、分类、来源类型和可见性
+     * @param {Object} result - 检测结果
+     * @returns {string}
+     */
+    getTooltipText(result) {
+        const category = result.category ? ` | 分类: ${result.category}` : '';
+        const visibility = result.visibility ? ` | 可见性: ${VisibilityClassifier.STATES[result.visibility]}` : '';
+        const sources = (result.sources || [result.type]).map(type => this.getTypeDisplayName(type)).join('、');
+        return `关键词: ${result.keyword} | 级别: ${this.getSeverity(result)}${category} | 类型: ${sources}${visibility}`;
+    }
+
     /**
      * 创建标记徽章
      * @param {number} index - 索引
-     * @param {string} type - 类型
+     * @param {string} severity - 严重程度
      * @returns {HTMLElement} 徽章元素
      */
-    createBadge(index, type) {
+    createBadge(index, severity) {
         const badge = document.createElement('div');
-        badge.className = `keyword-badge ${this.getBadgeClass(type)}`;
+        badge.className = `keyword-badge ${this.getBadgeClass(severity)}`;
+        badge.setAttribute('data-keyword-annotator', '');
         badge.textContent = index;
         return badge;
     }
 
     /**
      * 获取徽章样式类
-     * @param {string} type - 类型
+     * @param {string} severity - 严重程度
      * @returns {string} 样式类
      */
-    getBadgeClass(type) {
-        const classMap = {
-            'text': 'badge-text',
-            'link': 'badge-warning',
-            'image': 'badge-info',
-            'form': 'badge-warning'
-        };
-        return classMap[type] || 'badge-default';
+    getBadgeClass(severity) {
+        return `badge-${severity}`;
     }
 
     /**
@@ -291,6 +551,8 @@ class PageAnnotator {
             
             console.log('🔍 点击了标注元素:', {
                 keyword: result.keyword,
+                severity: result.severity,
+                category: result.category,
                 type: result.type,
                 element: element,
                 location: result.location
@@ -337,11 +599,18 @@ class PageAnnotator {
     getTypeDisplayName(type) {
         const typeNames = {
             'text': '文本内容',
-            'link': '链接地址',
+            'attribute': '元素属性',
+            'link_href': '链接地址',
             'image': '图片信息',
-            'form': '表单元素'
+            'form': '表单元素',
+            'title': '页面标题',
+            'meta': 'meta 标签',
+            'json_ld': 'JSON-LD',
+            'embedded_state': '页面状态数据',
+            'css_content': 'CSS 生成内容',
+            'css_url': '样式表地址'
         };
-        return typeNames[type] || type;
+        return typeNames[type] || type || '未知类型';
     }
 
     /**
@@ -363,6 +632,7 @@ class PageAnnotator {
     getStatistics() {
         return {
             totalAnnotations: this.annotations.size,
+            totalTextHighlights: this.highlightRanges.length,
             isEnabled: this.isEnabled,
             annotationCounter: this.annotationCounter
         };
@@ -383,6 +653,24 @@ class PageAnnotator {
     }
 }
 
+// 文本高亮的 ::highlight 样式，同时用于页面样式表和影子根
+PageAnnotator.HIGHLIGHT_STYLES = `
+    ::highlight(keyword-match-block) {
+        background-color: rgba(244, 67, 54, 0.5);
+        color: inherit;
+    }
+
+    ::highlight(keyword-match-warn) {
+        background-color: rgba(255, 193, 7, 0.6);
+        color: inherit;
+    }
+
+    ::highlight(keyword-match-info) {
+        background-color: rgba(33, 150, 243, 0.35);
+        color: inherit;
+    }
+`;
+
 // 导出标注器类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PageAnnotator;
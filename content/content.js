@@ -16,8 +16,27 @@ class ContentScriptManager {
             return;
         }
         
+        this.frameAggregator = new FrameAggregator(this.detector);
+        this.domainInventory = new DomainInventory(this.detector);
+        this.networkMonitor = new NetworkMonitor(this.detector);
+        this.annotator = new PageAnnotator();
+        this.isTopFrame = window.top === window;
+        
         this.isInitialized = false;
         this.currentResults = [];
+        this.frameResults = [];
+        // 上次检测中超时、结果缺失的子框架
+        this.timedOutFrames = [];
+        // 只展示这些可见性的结果，null 表示不筛选
+        this.visibilityFilter = null;
+        
+        // 实时监测相关状态
+        this.observer = null;
+        this.pendingTargets = new Map();
+        this.hasPendingRemovals = false;
+        this.flushTimer = null;
+        this.lastFlushTime = 0;
+        this.watchThrottle = 1000;
         
         this.init();
     }
@@ -37,7 +56,11 @@ class ContentScriptManager {
             }
             
             this.setupMessageListener();
+            this.setupStorageListener();
+            await this.loadMatchSettingsFromStorage();
             await this.loadKeywordsFromStorage();
+            await this.loadWatchModeFromStorage();
+            await this.loadNetworkMonitorFromStorage();
             
             this.isInitialized = true;
             
@@ -60,12 +83,88 @@ class ContentScriptManager {
                 case 'getResults':
                     this.handleGetResults(message, sendResponse);
                     break;
+                    
+                case 'scanDomains':
+                    this.handleScanDomains(message, sendResponse);
+                    break;
+                    
+                case 'startNetworkMonitor':
+                case 'stopNetworkMonitor':
+                    this.handleSetNetworkMonitor(message, sendResponse);
+                    break;
+                    
+                case 'getNetworkResults':
+                    this.handleGetNetworkResults(message, sendResponse);
+                    break;
+                    
+                case 'exportNetworkHar':
+                    this.handleExportNetworkHar(message, sendResponse);
+                    break;
+                    
+                case 'scanFrame':
+                    this.handleScanFrame(message, sendResponse);
+                    break;
             }
             
             return true;
         });
     }
 
+    /**
+     * 在页面上标注当前结果，子框架的结果没有本页元素，跳过
+     */
+    annotateCurrentResults() {
+        this.annotator.annotateResults(this.filterByVisibility(this.currentResults).filter(result => result.element));
+    }
+
+    /**
+     * 按可见性筛选结果，检测和存储的结果不受影响
+     * @param {Array} results - 检测结果
+     * @returns {Array} 可见性在筛选范围内的结果，没有可见性的结果始终保留
+     */
+    filterByVisibility(results) {
+        if (!this.visibilityFilter) return results;
+        return results.filter(result => !result.visibility || this.visibilityFilter.includes(result.visibility));
+    }
+
+    setVisibilityFilter(states) {
+        this.visibilityFilter = Array.isArray(states) ? states : null;
+        if (this.isInitialized) {
+            this.annotateCurrentResults();
+        }
+    }
+
+    setupStorageListener() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+            
+            if (changes.watchMode) {
+                this.setWatchMode(Boolean(changes.watchMode.newValue));
+            }
+            if (changes.normalization) {
+                this.detector.setNormalizationOptions(changes.normalization.newValue || {});
+            }
+            if (changes.obfuscationMode) {
+                this.detector.setObfuscationMode(Boolean(changes.obfuscationMode.newValue));
+            }
+            if (changes.keywordCategories) {
+                this.detector.setCategories(changes.keywordCategories.newValue || []);
+            }
+            if (changes.domainRules) {
+                this.domainInventory.setDomainRules(changes.domainRules.newValue || {});
+            }
+            if (changes.exceptionRules) {
+                this.detector.setExceptionRules(changes.exceptionRules.newValue || []);
+            }
+            if (changes.visibilityFilter) {
+                this.setVisibilityFilter(changes.visibilityFilter.newValue);
+            }
+            if (changes.networkBodyLimit) {
+                this.networkMonitor.setMaxBodySize(changes.networkBodyLimit.newValue * 1024);
+            }
+        });
+    }
+
     async handleStartScan(message, sendResponse) {
         try {
             if (!this.isInitialized) {
@@ -73,8 +172,22 @@ class ContentScriptManager {
                 return;
             }
 
-            const results = await this.detector.detectKeywords();
+            // 新的检测请求会中止当前检测，被中止的请求不再返回结果
+            const ownResults = await this.detector.detectKeywords(progress => this.sendScanProgress(progress));
+            if (!ownResults) {
+                sendResponse({ success: false, cancelled: true });
+                return;
+            }
+            
+            // 汇总子框架（iframe）中的检测结果
+            this.sendScanProgress({ phase: 'frames', phaseIndex: 0, phaseCount: 1, processed: 0, total: 0 });
+            const frameScan = await this.frameAggregator.collectFrameResults(this.detector.keywords);
+            this.frameResults = frameScan.results;
+            this.timedOutFrames = frameScan.timedOutFrames;
+            
+            const results = ownResults.concat(this.frameResults);
             this.currentResults = results;
+            this.annotateCurrentResults();
             
             await this.saveResultsToStorage(results);
             
@@ -83,10 +196,16 @@ class ContentScriptManager {
                 console.log(`发现 ${results.length} 个问题`);
             }
             
+            const shownResults = this.filterByVisibility(results);
             sendResponse({ 
                 success: true, 
-                results: results,
-                count: results.length
+                results: shownResults,
+                count: shownResults.length,
+                severity: this.detector.countBySeverity(shownResults),
+                visibility: this.detector.countByVisibility(results),
+                filteredCount: results.length - shownResults.length,
+                suppressedCount: this.detector.suppressedResults.length,
+                timedOutFrames: this.timedOutFrames
             });
             
         } catch (error) {
@@ -95,24 +214,125 @@ class ContentScriptManager {
         }
     }
 
+    /**
+     * 向弹窗发送检测进度
+     * @param {Object} progress - { phase, phaseIndex, phaseCount, processed, total }
+     */
+    sendScanProgress(progress) {
+        const phaseProgress = progress.total > 0 ? progress.processed / progress.total : 0;
+        chrome.runtime.sendMessage({
+            action: 'scanProgress',
+            phase: progress.phase,
+            processed: progress.processed,
+            total: progress.total,
+            percent: progress.phaseCount > 0 ?
+                Math.round((progress.phaseIndex + phaseProgress) / progress.phaseCount * 100) : 0
+        }).catch(() => {
+            // 弹窗未打开时没有接收方，忽略
+        });
+    }
+
     async handleSetKeywords(message, sendResponse) {
         try {
             const keywords = message.keywords || [];
-            this.detector.setKeywords(keywords);
-            await this.saveKeywordsToStorage(keywords);
+            const errors = this.detector.setKeywords(keywords);
+            // 保存解析后的关键词，匹配选项随关键词一起存储
+            await this.saveKeywordsToStorage(this.detector.keywords);
             
-            sendResponse({ success: true });
+            sendResponse({ success: true, errors: errors });
         } catch (error) {
             console.error('设置关键词失败:', error);
             sendResponse({ success: false, error: error.message });
         }
     }
 
+    /**
+     * 生成外部域名清单，与关键词检测相互独立
+     */
+    handleScanDomains(message, sendResponse) {
+        try {
+            if (!this.isInitialized) {
+                sendResponse({ success: false, error: '内容脚本未初始化' });
+                return;
+            }
+
+            this.domainInventory.scan(document);
+            sendResponse({
+                success: true,
+                inventory: this.domainInventory.serializeInventory(),
+                statistics: this.domainInventory.getStatistics()
+            });
+        } catch (error) {
+            console.error('❌ 域名清单生成失败:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    async handleSetNetworkMonitor(message, sendResponse) {
+        try {
+            const enabled = message.action === 'startNetworkMonitor';
+            const connected = await this.setNetworkMonitoring(enabled);
+            sendResponse({ success: !enabled || connected, monitoring: this.networkMonitor.isMonitoring });
+        } catch (error) {
+            console.error('❌ 切换网络监控失败:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    handleGetNetworkResults(message, sendResponse) {
+        try {
+            const results = this.networkMonitor.getResults();
+            sendResponse({
+                success: true,
+                monitoring: this.networkMonitor.isMonitoring,
+                results: results,
+                count: results.length,
+                severity: this.detector.countBySeverity(results),
+                suppressedCount: this.networkMonitor.suppressedResults.length
+            });
+        } catch (error) {
+            console.error('❌ 获取网络检测结果失败:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * 子框架收到后台转发的检测请求，顶层框架的结果由 handleStartScan 处理
+     */
+    async handleScanFrame(message, sendResponse) {
+        if (window === window.top) {
+            sendResponse({ success: false });
+            return;
+        }
+
+        try {
+            const results = await this.frameAggregator.scanForTopFrame(message.keywords || []);
+            sendResponse({ success: true, results: results });
+        } catch (error) {
+            console.error('❌ 子框架检测失败:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    handleExportNetworkHar(message, sendResponse) {
+        try {
+            sendResponse({
+                success: true,
+                har: this.networkMonitor.exportHar(),
+                count: this.networkMonitor.getRequestLog().length,
+                url: window.location.href
+            });
+        } catch (error) {
+            console.error('❌ 导出网络请求记录失败:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
     handleGetResults(message, sendResponse) {
         try {
             const response = {
                 success: true,
-                results: this.currentResults,
+                results: this.filterByVisibility(this.currentResults),
                 statistics: this.detector.getStatistics(),
                 url: window.location.href,
                 timestamp: new Date().toISOString()
@@ -129,6 +349,257 @@ class ContentScriptManager {
         }
     }
 
+    async loadMatchSettingsFromStorage() {
+        try {
+            const result = await chrome.storage.local.get([
+                'normalization', 'obfuscationMode', 'keywordCategories', 'exceptionRules', 'domainRules',
+                'visibilityFilter', 'networkBodyLimit'
+            ]);
+            if (result.normalization) {
+                this.detector.setNormalizationOptions(result.normalization);
+            }
+            this.detector.setObfuscationMode(Boolean(result.obfuscationMode));
+            this.detector.setCategories(result.keywordCategories || []);
+            this.detector.setExceptionRules(result.exceptionRules || []);
+            this.domainInventory.setDomainRules(result.domainRules || {});
+            this.setVisibilityFilter(result.visibilityFilter);
+            this.networkMonitor.setMaxBodySize(result.networkBodyLimit * 1024);
+        } catch (error) {
+            console.error('❌ 加载匹配设置失败:', error);
+        }
+    }
+
+    async loadWatchModeFromStorage() {
+        try {
+            const result = await chrome.storage.local.get(['watchMode']);
+            this.setWatchMode(Boolean(result.watchMode));
+        } catch (error) {
+            console.error('❌ 加载监测设置失败:', error);
+        }
+    }
+
+    async loadNetworkMonitorFromStorage() {
+        try {
+            const result = await chrome.storage.local.get(['networkMonitorMode']);
+            await this.setNetworkMonitoring(Boolean(result.networkMonitorMode));
+        } catch (error) {
+            console.error('❌ 加载网络监控设置失败:', error);
+        }
+    }
+
+    /**
+     * 开启或关闭网络请求监控，关闭时拦截器恢复页面原始的请求方法
+     * @param {boolean} enabled - 是否开启
+     * @returns {Promise<boolean>} 是否已连接到页面中的拦截器
+     */
+    async setNetworkMonitoring(enabled) {
+        // 拦截器只注入顶层框架
+        if (!this.isTopFrame) return false;
+
+        if (enabled) {
+            const connected = await this.networkMonitor.start();
+            if (connected) {
+                console.log('🌐 已开启网络请求监控');
+            }
+            return connected;
+        }
+
+        await this.networkMonitor.stop();
+        return true;
+    }
+
+    /**
+     * 开启或关闭实时监测模式
+     * @param {boolean} enabled - 是否开启
+     */
+    setWatchMode(enabled) {
+        // 子框架的结果由顶层框架在完整检测时汇总，只在顶层框架监测
+        if (!this.isTopFrame) return;
+        
+        if (enabled) {
+            this.startWatching();
+        } else {
+            this.stopWatching();
+        }
+    }
+
+    startWatching() {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observeRoot(document.documentElement);
+        this.observeShadowRoots(document);
+        console.log('👀 已开启实时监测');
+    }
+
+    observeRoot(root) {
+        this.observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true
+        });
+    }
+
+    /**
+     * Shadow Root 内部的变化不会冒泡到文档，需要单独监听
+     * @param {Node} root - 查找 Shadow Root 的范围
+     */
+    observeShadowRoots(root) {
+        this.detector.getShadowRoots(root).forEach(shadowRoot => this.observeRoot(shadowRoot));
+    }
+
+    stopWatching() {
+        if (!this.observer) return;
+
+        this.observer.disconnect();
+        this.observer = null;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pendingTargets.clear();
+        this.hasPendingRemovals = false;
+        console.log('⏹️ 已关闭实时监测');
+    }
+
+    /**
+     * 收集发生变化的节点，等待节流后统一重新检测
+     * @param {MutationRecord[]} mutations - DOM变更记录
+     */
+    handleMutations(mutations) {
+        mutations.forEach(mutation => {
+            // 忽略标注器自身产生的变化，避免标注与检测相互触发
+            if (this.isAnnotatorNode(mutation.target)) return;
+
+            switch (mutation.type) {
+                case 'childList':
+                    mutation.addedNodes.forEach(node => {
+                        if (this.isAnnotatorNode(node)) return;
+                        
+                        const root = node.nodeType === Node.ELEMENT_NODE ?
+                            node : this.detector.getTextNodeElement(node);
+                        if (root) {
+                            this.addPendingTarget(root, false);
+                        }
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.observeShadowRoots(node);
+                        }
+                    });
+                    if (Array.from(mutation.removedNodes).some(node => !this.isAnnotatorNode(node))) {
+                        this.hasPendingRemovals = true;
+                    }
+                    break;
+
+                case 'characterData': {
+                    const parent = this.detector.getTextNodeElement(mutation.target);
+                    if (parent) {
+                        this.addPendingTarget(parent, false);
+                    }
+                    break;
+                }
+
+                case 'attributes':
+                    // class、style 等属性不参与检测，标注样式类的增删也不会触发重新检测
+                    if (!this.detector.shouldSkipAttribute(mutation.attributeName)) {
+                        this.addPendingTarget(mutation.target, true);
+                    }
+                    break;
+            }
+        });
+
+        this.scheduleFlush();
+    }
+
+    isAnnotatorNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return Boolean(element && element.hasAttribute('data-keyword-annotator'));
+    }
+
+    addPendingTarget(root, attributesOnly) {
+        if (this.pendingTargets.has(root)) {
+            // 子树检测已包含属性检测
+            attributesOnly = attributesOnly && this.pendingTargets.get(root);
+        }
+        this.pendingTargets.set(root, attributesOnly);
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        if (this.pendingTargets.size === 0 && !this.hasPendingRemovals) return;
+
+        const elapsed = Date.now() - this.lastFlushTime;
+        const delay = Math.max(this.watchThrottle - elapsed, 0);
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushPendingTargets();
+        }, delay);
+    }
+
+    async flushPendingTargets() {
+        if (!this.isInitialized || this.detector.isDetecting) {
+            // 完整检测进行中，稍后再处理
+            this.lastFlushTime = Date.now();
+            this.scheduleFlush();
+            return;
+        }
+
+        const targets = this.collapsePendingTargets();
+        this.pendingTargets.clear();
+        this.hasPendingRemovals = false;
+        this.lastFlushTime = Date.now();
+
+        const { added, removed } = await this.detector.rescanSubtrees(targets);
+        if (added.length === 0 && removed.length === 0) {
+            return;
+        }
+
+        this.currentResults = this.detector.getResults().concat(this.frameResults);
+        this.annotateCurrentResults();
+        await this.saveResultsToStorage(this.currentResults);
+
+        if (added.length > 0) {
+            console.log(`🔄 实时监测发现 ${added.length} 个新问题`);
+        }
+
+        const shownResults = this.filterByVisibility(this.currentResults);
+        chrome.runtime.sendMessage({
+            action: 'resultsUpdated',
+            count: shownResults.length,
+            severity: this.detector.countBySeverity(shownResults)
+        }).catch(() => {
+            // 弹窗未打开时没有接收方，忽略
+        });
+    }
+
+    /**
+     * 合并待检测目标：已被其他子树目标包含的节点不再重复检测
+     * @returns {Array} 检测目标 { root, attributesOnly }
+     */
+    collapsePendingTargets() {
+        const subtreeRoots = new Set();
+        this.pendingTargets.forEach((attributesOnly, root) => {
+            if (!attributesOnly) {
+                subtreeRoots.add(root);
+            }
+        });
+
+        const targets = [];
+        this.pendingTargets.forEach((attributesOnly, root) => {
+            if (!root.isConnected) return;
+
+            let ancestor = root.parentElement;
+            while (ancestor && !subtreeRoots.has(ancestor)) {
+                ancestor = ancestor.parentElement;
+            }
+
+            if (!ancestor) {
+                targets.push({ root: root, attributesOnly: attributesOnly });
+            }
+        });
+
+        return targets;
+    }
+
     async loadKeywordsFromStorage() {
         try {
             const result = await chrome.storage.local.get(['keywords']);
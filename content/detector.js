@@ -4,81 +4,477 @@
 class KeywordDetector {
     constructor() {
         this.keywords = [];
+        this.matcher = new KeywordMatcher();
+        this.exceptions = new ExceptionRules();
+        this.urlAnalyzer = new UrlAnalyzer();
+        this.visibility = new VisibilityClassifier();
+        this.selectors = new SelectorGenerator();
+        this.matchWorker = new MatchWorkerClient();
+        // Worker 为当前批次预先计算的匹配结果
+        this.matchCache = null;
         this.detectionResults = [];
+        this.suppressedResults = [];
+        // 按结果 ID 索引，用于合并重复的结果
+        this.resultIndex = new Map();
+        this.suppressedIndex = new Map();
         this.isDetecting = false;
+        this.obfuscationMode = false;
+        // 正在进行的检测及其中止控制器
+        this.activeScan = null;
+        this.abortController = null;
+        this.scanContext = null;
     }
 
     /**
      * 设置检测关键词
-     * @param {string[]} keywords - 关键词数组
+     * @param {Array} keywords - 关键词数组，支持正则和通配符语法，元素可以是 "关键词 [选项]" 字符串或选项对象
+     * @returns {Array} 无法编译的关键词及错误原因
      */
     setKeywords(keywords) {
-        this.keywords = keywords.filter(keyword => keyword.trim().length > 0);
+        this.keywords = keywords
+            .map(keyword => KeywordMatcher.parseKeywordOptions(keyword))
+            .filter(keyword => keyword.keyword.trim().length > 0);
+        const errors = this.matcher.compile(this.keywords);
+        this.syncMatchWorker();
+        return errors;
     }
 
-    async detectKeywords() {
-        if (this.isDetecting) {
-            return this.detectionResults;
+    /**
+     * 设置关键词分类及其严重程度
+     * @param {Array} categories - 分类数组 { name, severity }
+     * @returns {Array} 无法编译的关键词及错误原因
+     */
+    setCategories(categories) {
+        const errors = this.matcher.setCategories(categories);
+        this.syncMatchWorker();
+        return errors;
+    }
+
+    /**
+     * 设置例外规则，命中规则的结果记入 suppressedResults 而不是检测结果
+     * @param {Array} rules - 规则数组 { type, value }
+     * @returns {Array} 无效的规则及错误原因
+     */
+    setExceptionRules(rules) {
+        return this.exceptions.setRules(rules);
+    }
+
+    /**
+     * 设置文本归一化选项
+     * @param {Object} options - TextNormalizer 选项
+     * @returns {Array} 无法编译的关键词及错误原因
+     */
+    setNormalizationOptions(options) {
+        const errors = this.matcher.setNormalizationOptions(options);
+        this.syncMatchWorker();
+        return errors;
+    }
+
+    /**
+     * 开启或关闭防规避模式：匹配被分隔符拆开的关键词，以及跨相邻行内文本节点的关键词
+     * @param {boolean} enabled - 是否开启
+     */
+    setObfuscationMode(enabled) {
+        this.obfuscationMode = Boolean(enabled);
+        const errors = this.matcher.setSeparatorTolerant(this.obfuscationMode);
+        this.syncMatchWorker();
+        return errors;
+    }
+
+    /**
+     * 将匹配设置同步到匹配 Worker
+     */
+    syncMatchWorker() {
+        this.matchWorker.configure({
+            keywords: this.matcher.keywords,
+            categories: this.matcher.categories,
+            normalization: this.matcher.normalizer.options,
+            separatorTolerant: this.matcher.separatorTolerant
+        });
+    }
+
+    /**
+     * 完整检测当前页面。检测按时间片在浏览器空闲时分段执行，新的检测请求会中止正在进行的检测
+     * @param {Function} onProgress - 进度回调，参数为 { phase, phaseIndex, phaseCount, processed, total }
+     * @returns {Promise<Array|null>} 检测结果，被新的检测请求中止时返回 null
+     */
+    async detectKeywords(onProgress = null) {
+        const controller = new AbortController();
+        this.cancelDetection();
+        this.abortController = controller;
+
+        // 等待被中止的检测退出，避免两次检测同时写入结果
+        if (this.activeScan) {
+            await this.activeScan;
+        }
+        if (controller.signal.aborted) {
+            return null;
         }
     
         if (this.keywords.length === 0) {
             return [];
         }
-    
+
+        this.activeScan = this.runScan(controller.signal, onProgress);
+        return this.activeScan;
+    }
+
+    /**
+     * 中止正在进行的检测
+     */
+    cancelDetection() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    async runScan(signal, onProgress) {
         this.isDetecting = true;
         this.clearResults();
+        this.scanContext = this.createScanContext(signal, onProgress);
     
         try {
-            await this.detectInTextContent();
-            await this.detectInAllAttributes();
-            await this.detectInImages();
-            await this.detectInForms();
+            await this.matchWorker.start();
+            await this.runDetectionPasses(document);
     
             this.logFinalResults();
     
             return this.detectionResults;
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹️ 检测已中止');
+                return null;
+            }
             console.error('检测失败:', error);
             return [];
         } finally {
+            this.scanContext = null;
             this.isDetecting = false;
         }
     }
 
-    // 添加模糊匹配方法
-    fuzzyMatch(text, keyword) {
-        // 简单的编辑距离匹配
-        const textLower = text.toLowerCase();
-        const keywordLower = keyword.toLowerCase();
-        
-        // 精确匹配
-        if (textLower.includes(keywordLower)) {
-            return true;
+    createScanContext(signal, onProgress) {
+        return {
+            signal: signal,
+            onProgress: onProgress,
+            phase: null,
+            phaseIndex: 0,
+            phaseCount: 0,
+            processed: 0,
+            total: 0,
+            sliceStart: performance.now()
+        };
+    }
+
+    /**
+     * 在指定根节点范围内执行所有检测
+     * @param {Node} root - 检测范围的根节点
+     * @param {boolean} attributesOnly - 是否只检测根元素自身的属性（用于属性变更）
+     */
+    async runDetectionPasses(root, attributesOnly = false) {
+        const passes = [];
+        if (!attributesOnly) {
+            const textRoot = root === document ? document.body : root;
+            passes.push({ phase: 'text', run: () => this.detectInTextContent(textRoot) });
+            if (this.obfuscationMode) {
+                passes.push({ phase: 'inline', run: () => this.detectAcrossInlineNodes(textRoot) });
+            }
         }
-        
-        // 容错匹配：允许1个字符差异
-        if (Math.abs(textLower.length - keywordLower.length) <= 1) {
-            let differences = 0;
-            const maxLen = Math.max(textLower.length, keywordLower.length);
-            
-            for (let i = 0; i < maxLen; i++) {
-                if (textLower[i] !== keywordLower[i]) {
-                    differences++;
-                    if (differences > 1) return false;
+        passes.push(
+            { phase: 'attributes', run: () => this.detectInAllAttributes(root, attributesOnly) },
+            { phase: 'images', run: () => this.detectInImages(root, attributesOnly) },
+            { phase: 'forms', run: () => this.detectInForms(root, attributesOnly) },
+            { phase: 'metadata', run: () => this.detectInMetadata(root, attributesOnly) },
+            { phase: 'styles', run: () => this.detectInStyles(root, attributesOnly) }
+        );
+
+        for (let i = 0; i < passes.length; i++) {
+            this.beginPhase(passes[i].phase, i, passes.length);
+            await passes[i].run();
+        }
+    }
+
+    beginPhase(phase, phaseIndex, phaseCount) {
+        const context = this.scanContext;
+        if (!context) return;
+
+        context.signal.throwIfAborted();
+        Object.assign(context, { phase: phase, phaseIndex: phaseIndex, phaseCount: phaseCount, processed: 0, total: 0 });
+        this.reportProgress(context);
+    }
+
+    /**
+     * 逐个遍历待检测的节点，当前时间片用完时让出主线程，并在恢复时检查检测是否已被中止
+     * 不在检测过程中调用（如单独调用某项检测）时不分片
+     * @param {Array} items - 待检测的节点
+     * @param {Function} extract - 提取节点中待匹配的文本 { text, options }，
+     *                             提供且 Worker 可用时，每批节点的文本先交给 Worker 匹配
+     */
+    async *scanItems(items, extract = null) {
+        const context = this.scanContext;
+        if (context) {
+            context.total += items.length;
+        }
+
+        const useWorker = Boolean(extract) && this.matchWorker.isAvailable();
+        const batchSize = useWorker ? KeywordDetector.MATCH_BATCH_SIZE : Math.max(items.length, 1);
+
+        try {
+            for (let start = 0; start < items.length; start += batchSize) {
+                const batch = items.slice(start, start + batchSize);
+                if (useWorker) {
+                    await this.prefetchMatches(batch.flatMap(extract));
+                    if (context) {
+                        context.signal.throwIfAborted();
+                    }
+                }
+
+                for (const item of batch) {
+                    yield item;
+                    if (context) {
+                        await this.checkpoint(context);
+                    }
                 }
             }
-            return differences <= 1;
+        } finally {
+            this.matchCache = null;
+        }
+    }
+
+    /**
+     * 由 Worker 批量计算匹配结果，检测时通过 findMatches() 读取
+     * @param {Array} requests - { text, options }
+     */
+    async prefetchMatches(requests) {
+        const unique = new Map();
+        requests.forEach(request => {
+            if (request.text) {
+                unique.set(KeywordDetector.getMatchKey(request.text, request.options), request);
+            }
+        });
+
+        this.matchCache = new Map();
+        if (unique.size === 0) return;
+
+        const results = await this.matchWorker.findMatches(Array.from(unique.values()));
+        if (!results) return;
+
+        Array.from(unique.keys()).forEach((key, index) => this.matchCache.set(key, results[index]));
+    }
+
+    static getMatchKey(text, options = {}) {
+        return `${options.scope || ''}|${options.urlComponent || ''}|${text}`;
+    }
+
+    /**
+     * 查找文本中所有关键词的出现位置，优先使用 Worker 预先计算的结果，其余在主线程匹配
+     * @param {string} text - 待检测文本
+     * @param {Object} options - 同 KeywordMatcher.findMatches()
+     * @returns {Array} 同 KeywordMatcher.findMatches()
+     */
+    findMatches(text, options = {}) {
+        const key = KeywordDetector.getMatchKey(text, options);
+        if (this.matchCache && this.matchCache.has(key)) {
+            return this.matchCache.get(key);
+        }
+        return this.matcher.findMatches(text, options);
+    }
+
+    async checkpoint(context) {
+        context.processed++;
+        if (performance.now() - context.sliceStart < KeywordDetector.SLICE_BUDGET) {
+            return;
+        }
+
+        this.reportProgress(context);
+        await KeywordDetector.waitForIdle();
+        context.signal.throwIfAborted();
+        context.sliceStart = performance.now();
+    }
+
+    reportProgress(context) {
+        if (!context.onProgress) return;
+
+        context.onProgress({
+            phase: context.phase,
+            phaseIndex: context.phaseIndex,
+            phaseCount: context.phaseCount,
+            processed: context.processed,
+            total: context.total
+        });
+    }
+
+    static waitForIdle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(() => resolve(), { timeout: KeywordDetector.IDLE_TIMEOUT });
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    /**
+     * 增量检测发生变化的子树，并合并到现有结果中
+     * 已从页面移除的元素和变化范围内的旧结果会被丢弃，再由重新检测补回
+     * @param {Array} targets - 变化目标 { root, attributesOnly }
+     * @returns {Promise<Object>} 本次新增和移除的结果 { added, removed }
+     */
+    async rescanSubtrees(targets) {
+        if (this.isDetecting || this.keywords.length === 0) {
+            return { added: [], removed: [] };
+        }
+
+        // 增量检测同样可以被新的完整检测中止；先中止之前的控制器，避免它对应的检测无法再被中止
+        const controller = new AbortController();
+        this.cancelDetection();
+        this.abortController = controller;
+        this.activeScan = this.runRescan(targets, controller.signal);
+        return this.activeScan;
+    }
+
+    async runRescan(targets, signal) {
+        this.isDetecting = true;
+        this.scanContext = this.createScanContext(signal, null);
+
+        const previousResults = this.detectionResults;
+        const previousSuppressed = this.suppressedResults;
+        const kept = [];
+        const removed = [];
+
+        previousResults.forEach(result => {
+            if (this.isResultStale(result, targets)) {
+                removed.push(result);
+            } else {
+                kept.push(result);
+            }
+        });
+
+        this.detectionResults = [];
+        this.suppressedResults = previousSuppressed.filter(result => !this.isResultStale(result, targets));
+        // 新结果与保留的结果重复时合并到保留的结果中
+        this.resultIndex = new Map(kept.map(result => [result.id, result]));
+        this.suppressedIndex = new Map(this.suppressedResults.map(result => [result.id, result]));
+
+        try {
+            for (const target of targets) {
+                if (target.root.isConnected) {
+                    await this.runDetectionPasses(target.root, target.attributesOnly);
+                }
+            }
+
+            const added = this.detectionResults;
+            this.detectionResults = kept.concat(added);
+
+            return { added: added, removed: removed };
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('增量检测失败:', error);
+            }
+            this.detectionResults = previousResults;
+            this.suppressedResults = previousSuppressed;
+            this.resultIndex = new Map(previousResults.map(result => [result.id, result]));
+            this.suppressedIndex = new Map(previousSuppressed.map(result => [result.id, result]));
+            return { added: [], removed: [] };
+        } finally {
+            this.scanContext = null;
+            this.isDetecting = false;
+        }
+    }
+
+    /**
+     * 判断结果是否需要丢弃：元素已移除或位于变化范围内
+     */
+    isResultStale(result, targets) {
+        return !result.element || !result.element.isConnected ||
+            targets.some(target => this.isResultInTarget(result, target));
+    }
+
+    /**
+     * 判断结果是否属于某个变化目标的检测范围
+     */
+    isResultInTarget(result, target) {
+        if (target.attributesOnly) {
+            return result.element === target.root && result.type !== 'text';
+        }
+        if (result.evasion && result.evasion.includes('split-node')) {
+            // 跨节点结果的检测范围会扩展到所在块级元素
+            return this.containsNode(target.root, result.element) ||
+                this.containsNode(result.element, target.root);
+        }
+        return this.containsNode(target.root, result.element);
+    }
+
+    /**
+     * 判断节点是否位于根节点之内，可跨越 Shadow DOM 边界
+     * @param {Node} root - 根节点
+     * @param {Node} node - 待判断的节点
+     * @returns {boolean}
+     */
+    containsNode(root, node) {
+        let current = node;
+        while (current) {
+            if (current === root) return true;
+            current = current.parentNode ||
+                (current.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? current.host : null);
         }
-        
         return false;
     }
 
-    // 修改检测逻辑使用模糊匹配
-    async detectInAllAttributes() {
-        const allElements = document.querySelectorAll('*');
+    /**
+     * 获取根节点范围内所有开放的 Shadow Root，包含嵌套的 Shadow Root
+     * @param {Node} root - 根节点
+     * @returns {ShadowRoot[]}
+     */
+    getShadowRoots(root) {
+        const shadowRoots = [];
+        const collect = scope => {
+            const hosts = Array.from(scope.querySelectorAll('*'));
+            if (scope.nodeType === Node.ELEMENT_NODE) {
+                hosts.unshift(scope);
+            }
+
+            hosts.forEach(host => {
+                if (host.shadowRoot) {
+                    shadowRoots.push(host.shadowRoot);
+                    collect(host.shadowRoot);
+                }
+            });
+        };
+
+        collect(root);
+        return shadowRoots;
+    }
+
+    /**
+     * 获取根节点范围内匹配选择器的元素
+     * @param {Node} root - 根节点
+     * @param {string} selector - CSS选择器
+     * @param {boolean} rootOnly - 是否只检查根元素本身
+     * @returns {Element[]} 元素数组（包含匹配的根元素和开放 Shadow Root 中的元素）
+     */
+    queryElements(root, selector, rootOnly = false) {
+        const elements = [];
+
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+            elements.push(root);
+        }
+        if (!rootOnly) {
+            elements.push(...root.querySelectorAll(selector));
+            this.getShadowRoots(root).forEach(shadowRoot => {
+                elements.push(...shadowRoot.querySelectorAll(selector));
+            });
+        }
+
+        return elements;
+    }
+
+    async detectInAllAttributes(root = document, rootOnly = false) {
+        const allElements = this.queryElements(root, '*', rootOnly);
         let foundCount = 0;
     
-        for (const element of allElements) {
+        for await (const element of this.scanItems(allElements, element => this.getAttributeTexts(element))) {
             if (element.attributes) {
                 for (const attr of element.attributes) {
                     if (typeof this.shouldSkipAttribute !== 'function') {
@@ -86,39 +482,57 @@ class KeywordDetector {
                         return foundCount;
                     }
                     
-                    if (this.shouldSkipAttribute(attr.name)) {
+                    if (!this.isScannedAttribute(element, attr.name)) {
                         continue;
                     }
     
                     const attrValue = attr.value.toLowerCase();
+                    // 地址属性按组成部分匹配，并解码其中编码或嵌套的地址
+                    const keywordMatches = UrlAnalyzer.isUrlAttribute(attr.name) ?
+                        this.findUrlMatches(attr.value, element.baseURI || document.baseURI, attr.name) :
+                        this.findKeywordMatches(attr.value, { scope: 'attribute' });
     
                     if (element.tagName === 'LINK' && attr.name === 'href') {
-                        for (const keyword of this.keywords) {
-                            // 使用模糊匹配
-                            if (this.fuzzyMatch(attrValue, keyword)) {
-                                this.addDetectionResult({
-                                    type: 'link_href',
-                                    keyword: keyword,
-                                    element: element,
-                                    content: attrValue,
-                                    location: this.getElementLocation(element)
-                                });
-                                foundCount++;
-                            }
+                        for (const { keyword, category, severity, matchedText, distance, evasion, suppressedBy, urlComponent, matchedUrl, urlDepth } of keywordMatches) {
+                            this.addDetectionResult({
+                                type: 'link_href',
+                                keyword: keyword,
+                                attribute: attr.name,
+                                category: category,
+                                severity: severity,
+                                element: element,
+                                content: attrValue,
+                                matchedText: matchedText,
+                                distance: distance,
+                                evasion: evasion,
+                                suppressedBy: suppressedBy,
+                                urlComponent: urlComponent,
+                                matchedUrl: matchedUrl,
+                                urlDepth: urlDepth,
+                                location: this.getElementLocation(element)
+                            });
+                            foundCount++;
                         }
                     } else {
-                        for (const keyword of this.keywords) {
-                            // 使用模糊匹配
-                            if (this.fuzzyMatch(attrValue, keyword)) {
-                                this.addDetectionResult({
-                                    type: 'attribute',
-                                    keyword: keyword,
-                                    element: element,
-                                    content: `${attr.name}="${attrValue}"`,
-                                    location: this.getElementLocation(element)
-                                });
-                                foundCount++;
-                            }
+                        for (const { keyword, category, severity, matchedText, distance, evasion, suppressedBy, urlComponent, matchedUrl, urlDepth } of keywordMatches) {
+                            this.addDetectionResult({
+                                type: 'attribute',
+                                keyword: keyword,
+                                attribute: attr.name,
+                                category: category,
+                                severity: severity,
+                                element: element,
+                                content: `${attr.name}="${attrValue}"`,
+                                matchedText: matchedText,
+                                distance: distance,
+                                evasion: evasion,
+                                suppressedBy: suppressedBy,
+                                urlComponent: urlComponent,
+                                matchedUrl: matchedUrl,
+                                urlDepth: urlDepth,
+                                location: this.getElementLocation(element)
+                            });
+                            foundCount++;
                         }
                     }
                 }
@@ -128,6 +542,29 @@ class KeywordDetector {
         return foundCount;
     }
 
+    /**
+     * 判断属性是否参与属性检测
+     */
+    isScannedAttribute(element, attrName) {
+        if (this.shouldSkipAttribute(attrName)) {
+            return false;
+        }
+        // meta 的 content 由元数据检测单独报告
+        return !(element.tagName === 'META' && attrName === 'content');
+    }
+
+    /**
+     * 列出元素中参与检测的属性文本，供 Worker 预先匹配
+     * @returns {Array} { text, options }
+     */
+    getAttributeTexts(element) {
+        return Array.from(element.attributes || [])
+            .filter(attr => this.isScannedAttribute(element, attr.name))
+            .flatMap(attr => UrlAnalyzer.isUrlAttribute(attr.name) ?
+                this.getUrlTexts(attr.value, element.baseURI || document.baseURI, attr.name) :
+                [{ text: attr.value, options: { scope: 'attribute' } }]);
+    }
+
     // 修改shouldSkipAttribute方法以检测所有地址相关属性
     shouldSkipAttribute(attrName) {
         const skipAttributes = [
@@ -138,24 +575,8 @@ class KeywordDetector {
             'xmlns', 'xml:lang', 'xml:space'
         ];
         
-        // 地址相关的属性，这些都需要检测
-        const urlAttributes = [
-            'href', 'src', 'action', 'formaction', 'data-url', 'data-link',
-            'data-href', 'data-src', 'data-action', 'poster', 'cite',
-            'longdesc', 'usemap', 'manifest', 'ping', 'background',
-            'codebase', 'archive', 'classid', 'data', 'profile'
-        ];
-        
-        // 如果是地址相关属性，不跳过（需要检测）
-        if (urlAttributes.includes(attrName.toLowerCase())) {
-            return false;
-        }
-        
-        // 如果属性名包含url、link、href等关键词，不跳过
-        const attrLower = attrName.toLowerCase();
-        if (attrLower.includes('url') || attrLower.includes('link') || 
-            attrLower.includes('href') || attrLower.includes('src') ||
-            attrLower.includes('action') || attrLower.includes('endpoint')) {
+        // 地址相关属性不跳过（需要检测）
+        if (UrlAnalyzer.isUrlAttribute(attrName)) {
             return false;
         }
         
@@ -164,105 +585,710 @@ class KeywordDetector {
             return true;
         }
         
-        // 跳过大部分data-属性，但保留可能包含地址的
-        if (attrName.startsWith('data-') && 
-            !attrLower.includes('url') && !attrLower.includes('link') && 
-            !attrLower.includes('href') && !attrLower.includes('src') &&
-            !attrLower.includes('action') && !attrLower.includes('endpoint')) {
-            return true;
-        }
-        
-        return false;
+        // 跳过其余的data-属性，可能包含地址的已在上面保留
+        return attrName.startsWith('data-');
     }
 
-    async detectInTextContent() {
-        const textNodes = this.getAllTextNodes();
+    /**
+     * 检测文本节点，每个结果记录文本节点及关键词每次出现的字符范围
+     */
+    async detectInTextContent(root = document.body) {
+        const textNodes = this.getAllTextNodes(root);
         
-        textNodes.forEach(node => {
-            const text = node.textContent.trim();
-            if (text.length === 0) return;
+        for await (const node of this.scanItems(textNodes, node => [{ text: node.textContent, options: { scope: 'text' } }])) {
+            const text = node.textContent;
+            if (text.trim().length === 0) continue;
             
-            this.keywords.forEach(keyword => {
-                if (text.toLowerCase().includes(keyword.toLowerCase())) {
+            const element = this.getTextNodeElement(node);
+            const segments = [{ node: node, start: 0 }];
+            
+            this.groupMatchesByKeyword(this.findMatches(text, { scope: 'text' }), segments, text)
+                .forEach(({ keyword, category, severity, ranges, matchedText, distance, evasion, suppressedBy }) => {
                     this.addDetectionResult({
                         type: 'text',
                         keyword: keyword,
-                        element: node.parentElement,
-                        content: text,
-                        location: this.getElementLocation(node.parentElement)
+                        category: category,
+                        severity: severity,
+                        element: element,
+                        node: node,
+                        ranges: ranges,
+                        content: text.trim(),
+                        matchedText: matchedText,
+                        distance: distance,
+                        evasion: evasion,
+                        suppressedBy: suppressedBy,
+                        location: this.getElementLocation(element)
                     });
-                }
+                });
+        }
+    }
+
+    /**
+     * 检测被拆分到同一块级元素内多个相邻行内文本节点中的关键词，
+     * 例如 <span>违</span><span>法</span>；中间隔着块级元素的文本不拼接，
+     * 如 <div>pa<div>x</div>ypal</div> 中的 pa 和 ypal
+     */
+    async detectAcrossInlineNodes(root = document.body) {
+        const scanRoot = root.nodeType === Node.ELEMENT_NODE ? this.getBlockContainer(root) : root;
+        const runs = [];
+        const lastRunByBlock = new Map();
+        
+        this.getAllTextNodes(scanRoot).forEach(node => {
+            const block = this.getBlockContainer(this.getTextNodeElement(node));
+            if (!block) return;
+            
+            const last = lastRunByBlock.get(block);
+            if (last && !this.hasBlockBetween(last.nodes[last.nodes.length - 1], node, block)) {
+                last.nodes.push(node);
+                return;
+            }
+            
+            const run = { block: block, nodes: [node] };
+            runs.push(run);
+            lastRunByBlock.set(block, run);
+        });
+        
+        const extract = ({ nodes }) => nodes.length < 2 ? [] :
+            [{ text: nodes.map(node => node.textContent).join(''), options: { scope: 'text' } }];
+        
+        for await (const { block, nodes } of this.scanItems(runs, extract)) {
+            if (nodes.length < 2) continue;
+            
+            let combined = '';
+            const segments = nodes.map(node => {
+                const segment = { node: node, start: combined.length };
+                combined += node.textContent;
+                return segment;
             });
+            
+            // 单个文本节点内的命中已由文本检测覆盖，这里只保留跨节点的命中
+            const crossNodeMatches = this.findMatches(combined, { scope: 'text' })
+                .filter(match => this.mapToSegments(segments, match.start, match.end).length > 1);
+            
+            this.groupMatchesByKeyword(crossNodeMatches, segments, combined)
+                .forEach(({ keyword, category, severity, ranges, matchedText, distance, evasion, suppressedBy }) => {
+                    this.addDetectionResult({
+                        type: 'text',
+                        keyword: keyword,
+                        category: category,
+                        severity: severity,
+                        element: block,
+                        node: ranges[0].node,
+                        ranges: ranges,
+                        content: combined.trim(),
+                        matchedText: matchedText,
+                        distance: distance,
+                        evasion: ['split-node'].concat(evasion),
+                        suppressedBy: suppressedBy,
+                        location: this.getElementLocation(block)
+                    });
+                });
+        }
+    }
+
+    /**
+     * 按关键词归并匹配，并将匹配位置映射为各文本节点上的范围
+     * @param {Array} matches - 匹配结果
+     * @param {Array} segments - 文本节点及其在拼接文本中的起始位置 { node, start }
+     * @param {string} text - 匹配所在的文本，用于判断例外短语
+     * @returns {Array} { keyword, category, severity, ranges, matchedText, distance, evasion, suppressedBy }
+     */
+    groupMatchesByKeyword(matches, segments, text) {
+        return this.splitByPhraseRules(matches, text).map(group => ({
+            ...group,
+            ranges: group.matches.flatMap(match => this.mapToSegments(segments, match.start, match.end))
+        }));
+    }
+
+    /**
+     * 查找文本中的匹配并按关键词归并，供属性、图片、表单和网络请求检测使用
+     * @param {string} text - 待检测文本
+     * @param {Object} options - 同 KeywordMatcher.findMatches()
+     * @returns {Array} { keyword, category, severity, matches, matchedText, distance, evasion, suppressedBy }
+     */
+    findKeywordMatches(text, options = {}) {
+        return this.splitByPhraseRules(this.findMatches(text, options), text);
+    }
+
+    /**
+     * 按组成部分匹配地址及其中嵌套的地址，每个关键词只保留最先命中的组成部分
+     * @param {string} value - 地址字符串
+     * @param {string} baseUrl - 解析相对地址使用的基准地址
+     * @param {string} attrName - 属性名，用于拆分 srcset 等包含多个地址的属性
+     * @returns {Array} 同 findKeywordMatches()，另含 urlComponent（命中的组成部分）、
+     *                  matchedUrl（命中所在的地址）和 urlDepth（嵌套层级，0 为地址本身）
+     */
+    findUrlMatches(value, baseUrl, attrName = 'href') {
+        return this.urlAnalyzer.findMatches(value, baseUrl, attrName, (text, options) => this.findKeywordMatches(text, options));
+    }
+
+    /**
+     * 列出地址中需要匹配的文本，同 UrlAnalyzer.getMatchTexts()
+     */
+    getUrlTexts(value, baseUrl, attrName = 'href') {
+        return this.urlAnalyzer.getMatchTexts(value, baseUrl, attrName);
+    }
+
+    /**
+     * 按关键词归并匹配，完全落在例外短语之内的匹配单独归组，并记录命中的规则
+     * @param {Array} matches - 匹配结果
+     * @param {string} text - 匹配所在的文本
+     * @returns {Array} 同 KeywordMatcher.groupByKeyword()，被忽略的分组带有 suppressedBy
+     */
+    splitByPhraseRules(matches, text) {
+        return this.exceptions.groupMatches(this.matcher, matches, text);
+    }
+
+    /**
+     * 将拼接文本中的范围拆分到各个文本节点
+     * @returns {Array} { node, start, end }
+     */
+    mapToSegments(segments, start, end) {
+        const ranges = [];
+        
+        segments.forEach(({ node, start: segmentStart }) => {
+            const segmentEnd = segmentStart + node.textContent.length;
+            const rangeStart = Math.max(start, segmentStart);
+            const rangeEnd = Math.min(end, segmentEnd);
+            
+            if (rangeStart < rangeEnd) {
+                ranges.push({
+                    node: node,
+                    start: rangeStart - segmentStart,
+                    end: rangeEnd - segmentStart
+                });
+            }
         });
+        
+        return ranges;
+    }
+
+    /**
+     * 判断同一块级容器内的两个文本节点之间是否隔着非行内元素
+     * @param {Text} from - 在前的文本节点
+     * @param {Text} to - 在后的文本节点
+     * @param {Element} block - 两者共同的块级容器
+     * @returns {boolean}
+     */
+    hasBlockBetween(from, to, block) {
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        walker.currentNode = from;
+        
+        let current;
+        while ((current = walker.nextNode()) && current !== to) {
+            if (current.nodeType === Node.ELEMENT_NODE && !KeywordDetector.INLINE_TAGS.has(current.tagName)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 获取元素所在的块级容器：向上跳过常见的行内元素
+     * @param {Element|null} element - 起始元素
+     * @returns {Element|null}
+     */
+    getBlockContainer(element) {
+        let current = element;
+        while (current && KeywordDetector.INLINE_TAGS.has(current.tagName) && current.parentElement) {
+            current = current.parentElement;
+        }
+        return current;
     }
 
     /**
      * 检测图片alt属性
      */
-    async detectInImages() {
-        const images = document.querySelectorAll('img[alt], img[title]');
+    async detectInImages(root = document, rootOnly = false) {
+        const images = this.queryElements(root, 'img[alt], img[title]', rootOnly);
         
-        images.forEach(img => {
+        for await (const img of this.scanItems(images, img => [{ text: img.alt || img.title || '', options: { scope: 'attribute' } }])) {
             const alt = img.alt || img.title || '';
+            const attribute = img.alt ? 'alt' : 'title';
             
-            this.keywords.forEach(keyword => {
-                if (alt.toLowerCase().includes(keyword.toLowerCase())) {
-                    this.addDetectionResult({
-                        type: 'image',
-                        keyword: keyword,
-                        element: img,
-                        content: `图片: ${alt}`,
-                        location: this.getElementLocation(img)
-                    });
-                }
+            this.findKeywordMatches(alt, { scope: 'attribute' }).forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) => {
+                this.addDetectionResult({
+                    type: 'image',
+                    keyword: keyword,
+                    attribute: attribute,
+                    category: category,
+                    severity: severity,
+                    element: img,
+                    content: `图片: ${alt}`,
+                    matchedText: matchedText,
+                    distance: distance,
+                    evasion: evasion,
+                    suppressedBy: suppressedBy,
+                    location: this.getElementLocation(img)
+                });
             });
-        });
+        }
     }
 
     /**
      * 检测表单元素
      */
-    async detectInForms() {
-        const formElements = document.querySelectorAll('input, textarea, select, option');
+    async detectInForms(root = document, rootOnly = false) {
+        const formElements = this.queryElements(root, 'input, textarea, select, option', rootOnly);
         
-        formElements.forEach(element => {
-            const value = element.value || element.placeholder || element.textContent || '';
+        for await (const element of this.scanItems(formElements, element => [{ text: this.getFormField(element).value, options: { scope: 'attribute' } }])) {
+            const { value, attribute } = this.getFormField(element);
             
-            this.keywords.forEach(keyword => {
-                if (value.toLowerCase().includes(keyword.toLowerCase())) {
+            this.findKeywordMatches(value, { scope: 'attribute' }).forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) => {
+                this.addDetectionResult({
+                    type: 'form',
+                    keyword: keyword,
+                    attribute: attribute,
+                    category: category,
+                    severity: severity,
+                    element: element,
+                    content: `表单: ${value}`,
+                    matchedText: matchedText,
+                    distance: distance,
+                    evasion: evasion,
+                    suppressedBy: suppressedBy,
+                    location: this.getElementLocation(element)
+                });
+            });
+        }
+    }
+
+    /**
+     * 获取表单元素检测的值及其来源属性
+     * @param {Element} element - 表单元素
+     * @returns {Object} { value, attribute }，值来自元素文本（如 <option>、<textarea>）或用户输入时 attribute 为 null
+     */
+    getFormField(element) {
+        if (element.value) {
+            return { value: element.value, attribute: element.getAttribute('value') === element.value ? 'value' : null };
+        }
+        if (element.placeholder) {
+            return { value: element.placeholder, attribute: 'placeholder' };
+        }
+        return { value: element.textContent || '', attribute: null };
+    }
+
+    /**
+     * 检测页面标题、meta 标签、JSON-LD 和内嵌的页面状态数据
+     * 这些内容位于 head 或 script 中，不在文本检测范围内
+     */
+    async detectInMetadata(root = document, rootOnly = false) {
+        for await (const title of this.scanItems(this.queryElements(root, 'head > title', rootOnly))) {
+            const text = title.textContent;
+
+            this.findKeywordMatches(text, { scope: 'text' }).forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) => {
+                this.addDetectionResult({
+                    type: 'title',
+                    keyword: keyword,
+                    category: category,
+                    severity: severity,
+                    element: title,
+                    content: `标题: ${text}`,
+                    matchedText: matchedText,
+                    distance: distance,
+                    evasion: evasion,
+                    suppressedBy: suppressedBy,
+                    location: this.getElementLocation(title)
+                });
+            });
+        }
+
+        for await (const meta of this.scanItems(this.queryElements(root, 'meta[content]', rootOnly))) {
+            const name = meta.getAttribute('name') || meta.getAttribute('property') ||
+                meta.getAttribute('itemprop') || meta.getAttribute('http-equiv') || '';
+            const value = meta.getAttribute('content');
+
+            this.findKeywordMatches(value, { scope: 'attribute' }).forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) => {
+                this.addDetectionResult({
+                    type: 'meta',
+                    keyword: keyword,
+                    attribute: 'content',
+                    category: category,
+                    severity: severity,
+                    element: meta,
+                    content: `meta ${name}: ${value}`,
+                    metaName: name,
+                    matchedText: matchedText,
+                    distance: distance,
+                    evasion: evasion,
+                    suppressedBy: suppressedBy,
+                    location: this.getElementLocation(meta)
+                });
+            });
+        }
+
+        for await (const script of this.scanItems(this.queryElements(root, 'script:not([src])', rootOnly))) {
+            const source = this.getJsonSource(script);
+            if (!source) continue;
+
+            this.findJsonMatches(source.data, source.raw).forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy, jsonPath, value }) => {
+                this.addDetectionResult({
+                    type: source.type,
+                    keyword: keyword,
+                    category: category,
+                    severity: severity,
+                    element: script,
+                    content: jsonPath ? `${source.label} ${jsonPath}: ${value}` : `${source.label}: ${value}`,
+                    jsonPath: jsonPath,
+                    matchedText: matchedText,
+                    distance: distance,
+                    evasion: evasion,
+                    suppressedBy: suppressedBy,
+                    location: this.getElementLocation(script)
+                });
+            });
+        }
+    }
+
+    /**
+     * 识别 script 中的 JSON 数据
+     * @param {HTMLScriptElement} script - script 元素
+     * @returns {Object|null} { type: 'json_ld' | 'embedded_state', label, data, raw }，
+     *                        无法解析的 JSON-LD 和 JSON 数据块 data 为 undefined，按原文检测
+     */
+    getJsonSource(script) {
+        const scriptType = (script.getAttribute('type') || '').trim().toLowerCase();
+        const raw = script.textContent;
+        if (!raw.trim()) return null;
+
+        if (scriptType === 'application/ld+json') {
+            return { type: 'json_ld', label: 'JSON-LD', data: KeywordDetector.parseJson(raw), raw: raw };
+        }
+        if (scriptType === 'application/json') {
+            return { type: 'embedded_state', label: script.id || 'JSON', data: KeywordDetector.parseJson(raw), raw: raw };
+        }
+
+        // 页面脚本中整段赋值给全局变量的状态数据，如 window.__INITIAL_STATE__ = {...}
+        if (!scriptType || /javascript|ecmascript/.test(scriptType)) {
+            const assignment = raw.match(KeywordDetector.STATE_ASSIGNMENT);
+            if (assignment) {
+                const data = KeywordDetector.parseJson(assignment[2]);
+                if (data !== undefined) {
+                    return { type: 'embedded_state', label: assignment[1], data: data, raw: raw };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    static parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * 检测 JSON 数据中的字符串值
+     * @param {*} data - 解析后的 JSON，undefined 表示解析失败
+     * @param {string} raw - JSON 原文，解析失败时按原文检测
+     * @returns {Array} 匹配结果，附带命中值的路径 jsonPath（如 $.props.pageProps.title）和值 value
+     */
+    findJsonMatches(data, raw) {
+        if (data === undefined) {
+            return this.findKeywordMatches(raw, { scope: 'text' })
+                .map(match => ({ ...match, jsonPath: null, value: raw.trim() }));
+        }
+
+        const matches = [];
+        const visit = (value, path) => {
+            if (typeof value === 'string') {
+                this.findKeywordMatches(value, { scope: 'text' }).forEach(match => {
+                    matches.push({ ...match, jsonPath: path, value: value });
+                });
+            } else if (Array.isArray(value)) {
+                value.forEach((item, index) => visit(item, `${path}[${index}]`));
+            } else if (value && typeof value === 'object') {
+                Object.keys(value).forEach(key => visit(value[key], KeywordDetector.appendJsonPath(path, key)));
+            }
+        };
+
+        visit(data, '$');
+        return matches;
+    }
+
+    /**
+     * 拼接 JSON 路径，非标识符的键使用方括号形式，如 $["@graph"][0].name
+     */
+    static appendJsonPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    /**
+     * 检测 CSS 生成的内容和样式表中的地址
+     * - ::before / ::after 的 content 按计算样式读取，跨域样式表中的规则同样生效
+     * - 可读取的样式表（同源样式表和 <style>）中的 url()、@import 和 @font-face 地址
+     */
+    async detectInStyles(root = document, rootOnly = false) {
+        let styleRules = null;
+
+        for await (const element of this.scanItems(this.queryElements(root, '*', rootOnly))) {
+            if (element.hasAttribute('data-keyword-annotator')) continue;
+
+            KeywordDetector.PSEUDO_ELEMENTS.forEach(pseudo => {
+                const value = window.getComputedStyle(element, pseudo).getPropertyValue('content');
+                if (!value || value === 'none' || value === 'normal') return;
+
+                const text = KeywordDetector.parseCssContent(value, element);
+                const matches = text.trim() ? this.findKeywordMatches(text, { scope: 'text' }) : [];
+                if (matches.length === 0) return;
+
+                // 计算样式不含来源规则，只在有命中时查找声明该内容的规则
+                styleRules = styleRules || this.collectStyleRules(document, false);
+                const source = this.findPseudoRule(styleRules, element, pseudo);
+
+                matches.forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy }) => {
                     this.addDetectionResult({
-                        type: 'form',
+                        type: 'css_content',
                         keyword: keyword,
+                        category: category,
+                        severity: severity,
                         element: element,
-                        content: `表单: ${value}`,
+                        content: `${pseudo}: ${text}`,
+                        pseudo: pseudo,
+                        ruleSelector: source ? source.selector : null,
+                        stylesheetHref: source ? source.href : null,
+                        matchedText: matchedText,
+                        distance: distance,
+                        evasion: evasion,
+                        suppressedBy: suppressedBy,
                         location: this.getElementLocation(element)
                     });
+                });
+            });
+        }
+
+        for await (const { rule, owner, baseUrl, href } of this.scanItems(this.collectStyleRules(root, rootOnly))) {
+            this.getRuleUrls(rule).forEach(({ property, url }) => {
+                const ruleSelector = KeywordDetector.getRuleSelector(rule);
+
+                this.findUrlMatches(url, baseUrl, 'src').forEach(({ keyword, category, severity, matchedText, distance, evasion, suppressedBy, urlComponent, matchedUrl, urlDepth }) => {
+                    this.addDetectionResult({
+                        type: 'css_url',
+                        keyword: keyword,
+                        category: category,
+                        severity: severity,
+                        element: owner,
+                        content: `${ruleSelector} { ${property}: ${url} }`,
+                        ruleSelector: ruleSelector,
+                        cssProperty: property,
+                        stylesheetHref: href,
+                        matchedText: matchedText,
+                        distance: distance,
+                        evasion: evasion,
+                        suppressedBy: suppressedBy,
+                        urlComponent: urlComponent,
+                        matchedUrl: matchedUrl,
+                        urlDepth: urlDepth,
+                        location: this.getElementLocation(owner)
+                    });
+                });
+            });
+        }
+    }
+
+    /**
+     * 获取根节点范围内可读取的样式表规则，包含 Shadow Root 和 adoptedStyleSheets 中的样式表
+     * 跨域样式表无法读取 cssRules，会被跳过
+     * @param {Node} root - 根节点，只收集所属元素（<style>、<link> 或 adoptedStyleSheets 的宿主）位于其中的样式表
+     * @param {boolean} rootOnly - 是否只收集所属元素为根元素本身的样式表
+     * @returns {Array} { rule, owner: 所属元素, href: 样式表地址（内联样式表为 null）, baseUrl }
+     */
+    collectStyleRules(root, rootOnly) {
+        const sheets = [];
+        this.queryElements(root, 'style, link[rel~="stylesheet" i]', rootOnly).forEach(owner => {
+            if (owner.sheet && !owner.hasAttribute('data-keyword-annotator')) {
+                sheets.push({ sheet: owner.sheet, owner: owner });
+            }
+        });
+        [document].concat(this.getShadowRoots(document)).forEach(scope => {
+            const owner = scope.host || document.documentElement;
+            if (rootOnly ? owner !== root : !this.containsNode(root, owner)) return;
+            Array.from(scope.adoptedStyleSheets || []).forEach(sheet => {
+                sheets.push({ sheet: sheet, owner: owner });
+            });
+        });
+
+        const rules = [];
+        const walk = (sheet, owner, depth) => {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch (error) {
+                return;
+            }
+            if (!cssRules) return;
+
+            const href = sheet.href || null;
+            const baseUrl = sheet.href || document.baseURI;
+            const visit = ruleList => {
+                Array.from(ruleList).forEach(rule => {
+                    rules.push({ rule: rule, owner: owner, href: href, baseUrl: baseUrl });
+                    if (rule.styleSheet && depth < KeywordDetector.MAX_IMPORT_DEPTH) {
+                        walk(rule.styleSheet, owner, depth + 1);
+                    }
+                    if (rule.cssRules) {
+                        visit(rule.cssRules);
+                    }
+                });
+            };
+            visit(cssRules);
+        };
+
+        sheets.forEach(({ sheet, owner }) => walk(sheet, owner, 0));
+
+        return rules;
+    }
+
+    /**
+     * 获取规则中引用的地址
+     * @param {CSSRule} rule - 样式规则
+     * @returns {Array} { property, url }
+     */
+    getRuleUrls(rule) {
+        const urls = [];
+        if (rule.type === KeywordDetector.CSS_IMPORT_RULE && rule.href) {
+            urls.push({ property: '@import', url: rule.href });
+        }
+        if (rule.style) {
+            for (let i = 0; i < rule.style.length; i++) {
+                const property = rule.style[i];
+                UrlAnalyzer.extractCssUrls(rule.style.getPropertyValue(property)).forEach(url => {
+                    urls.push({ property: property, url: url });
+                });
+            }
+        }
+        return urls.filter(({ url }) => url && !/^data:/i.test(url));
+    }
+
+    static getRuleSelector(rule) {
+        if (rule.selectorText) return rule.selectorText;
+        if (rule.type === KeywordDetector.CSS_IMPORT_RULE) return '@import';
+        if (rule.type === KeywordDetector.CSS_FONT_FACE_RULE) return '@font-face';
+        return rule.cssText ? rule.cssText.split('{')[0].trim() : '';
+    }
+
+    /**
+     * 查找为元素伪元素声明 content 的规则，多条规则同时匹配时取最后一条
+     * @returns {Object|null} { selector, href }
+     */
+    findPseudoRule(styleRules, element, pseudo) {
+        const suffix = new RegExp(`::?${pseudo.replace(/^::/, '')}$`, 'i');
+        let found = null;
+
+        styleRules.forEach(({ rule, href }) => {
+            if (!rule.selectorText || !rule.style || !rule.style.getPropertyValue('content')) return;
+
+            KeywordDetector.splitSelectorList(rule.selectorText).forEach(selector => {
+                if (!suffix.test(selector)) return;
+                const base = selector.replace(suffix, '').trim() || '*';
+                try {
+                    if (element.matches(base)) {
+                        found = { selector: selector, href: href };
+                    }
+                } catch (error) {
+                    // 无法用 matches 判断的选择器
                 }
             });
         });
+
+        return found;
+    }
+
+    /**
+     * 按顶层逗号拆分选择器列表，:is()、:not() 等括号内的逗号不拆分
+     */
+    static splitSelectorList(selectorText) {
+        const selectors = [];
+        let depth = 0;
+        let current = '';
+        for (const char of selectorText) {
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (char === ',' && depth === 0) {
+                selectors.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        selectors.push(current.trim());
+        return selectors.filter(selector => selector);
+    }
+
+    /**
+     * 将计算样式中的 content 值转为实际显示的文本
+     * 只保留字符串和 attr()，counter()、open-quote 等生成内容无法还原
+     * @param {string} value - content 计算值，如 "前缀" attr(data-label)
+     * @param {Element} element - 伪元素所属的元素
+     * @returns {string}
+     */
+    static parseCssContent(value, element) {
+        let text = '';
+        const pattern = /"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'|attr\(\s*([^\s),]+)[^)]*\)/gi;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            if (match[3]) {
+                text += element.getAttribute(match[3]) || '';
+            } else {
+                text += KeywordDetector.unescapeCssString(match[1] !== undefined ? match[1] : match[2]);
+            }
+        }
+        return text;
+    }
+
+    static unescapeCssString(text) {
+        return text.replace(/\\(?:([0-9a-f]{1,6})\s?|(\n)|([\s\S]))/gi, (match, hex, newline, char) => {
+            if (hex) {
+                const code = parseInt(hex, 16);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+            }
+            return newline ? '' : char;
+        });
+    }
+
+    /**
+     * 获取文本节点所属的元素，Shadow Root 顶层的文本节点归属于宿主元素
+     * @param {Text} node - 文本节点
+     * @returns {Element|null}
+     */
+    getTextNodeElement(node) {
+        if (node.parentElement) {
+            return node.parentElement;
+        }
+        return node.parentNode && node.parentNode.host ? node.parentNode.host : null;
     }
 
-    getAllTextNodes() {
+    getAllTextNodes(root = document.body) {
         const textNodes = [];
-        const walker = document.createTreeWalker(
-            document.body,
-            NodeFilter.SHOW_TEXT,
-            {
-                acceptNode: function(node) {
-                    if (node.parentElement.tagName === 'SCRIPT' || 
-                        node.parentElement.tagName === 'STYLE' ||
-                        node.parentElement.tagName === 'NOSCRIPT') {
-                        return NodeFilter.FILTER_REJECT;
+        const scopes = [root].concat(this.getShadowRoots(root));
+        
+        scopes.forEach(scope => {
+            const walker = document.createTreeWalker(
+                scope,
+                NodeFilter.SHOW_TEXT,
+                {
+                    acceptNode: function(node) {
+                        const parent = node.parentElement;
+                        if (parent && (parent.tagName === 'SCRIPT' || 
+                            parent.tagName === 'STYLE' ||
+                            parent.tagName === 'NOSCRIPT' ||
+                            (parent.tagName === 'TITLE' && parent.parentElement === document.head) ||
+                            parent.hasAttribute('data-keyword-annotator'))) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        return NodeFilter.FILTER_ACCEPT;
                     }
-                    return NodeFilter.FILTER_ACCEPT;
                 }
+            );
+            
+            let node;
+            while (node = walker.nextNode()) {
+                textNodes.push(node);
             }
-        );
-        
-        let node;
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
-        }
+        });
         
         return textNodes;
     }
@@ -270,10 +1296,82 @@ class KeywordDetector {
     addDetectionResult(result) {
         result.timestamp = new Date().toISOString();
         result.url = window.location.href;
-        result.selector = this.generateCSSSelector(result.element);
-        result.xpath = this.generateXPath(result.element);
+        // 文本结果的 XPath 指向命中的文本节点，结果 ID 仍按元素计算，以便与读取同一元素的其它检测合并
+        const elementXPath = this.generateXPath(result.element);
+        result.xpath = result.node && result.node.nodeType === Node.TEXT_NODE ?
+            this.generateXPath(result.node) : elementXPath;
+        result.id = this.createResultId(result, elementXPath);
+        result.sources = [result.type];
+        
+        // 命中例外规则的结果单独记录，便于审核被忽略的内容
+        const rule = result.suppressedBy || this.exceptions.findResultRule(result);
+        if (rule) {
+            result.suppressedBy = ExceptionRules.formatRule(rule);
+            this.mergeResult(this.suppressedResults, this.suppressedIndex, result);
+            return;
+        }
+        delete result.suppressedBy;
         
-        this.detectionResults.push(result);
+        this.mergeResult(this.detectionResults, this.resultIndex, result);
+    }
+
+    /**
+     * 添加结果，与已有结果重复时合并：保留最先发现的结果，记录所有命中的检测来源，
+     * 并合并文本范围和规避手段。例如 <option> 的文本同时被文本检测和表单检测命中，
+     * <img alt> 同时被图片检测和属性检测命中
+     */
+    mergeResult(results, index, result) {
+        const existing = index.get(result.id);
+        if (!existing) {
+            result.selector = this.generateCSSSelector(result.element);
+            result.visibility = this.visibility.classify(result.element, result.location);
+            index.set(result.id, result);
+            results.push(result);
+            return;
+        }
+
+        if (!existing.sources.includes(result.type)) {
+            existing.sources.push(result.type);
+        }
+        if (result.ranges) {
+            existing.ranges = (existing.ranges || []).concat(result.ranges);
+        }
+        if (result.evasion) {
+            existing.evasion = Array.from(new Set((existing.evasion || []).concat(result.evasion)));
+        }
+    }
+
+    /**
+     * 生成结果 ID，由元素路径、来源类型、属性和关键词决定，重新检测同一页面时保持不变
+     * 来源类型只区分元素文本和属性，不同检测读取同一处内容时得到相同的 ID
+     * @param {Object} result - 检测结果
+     * @param {string} elementXPath - 结果所在元素的 XPath
+     * @returns {string} 16 位十六进制字符串
+     */
+    createResultId(result, elementXPath) {
+        const sourceType = result.attribute ? 'attribute' :
+            (KeywordDetector.TEXT_SOURCE_TYPES.includes(result.type) ? 'text' : result.type);
+        const detail = result.jsonPath || result.pseudo ||
+            (result.ruleSelector ? `${result.ruleSelector} ${result.cssProperty || ''}` : '');
+
+        return KeywordDetector.hashParts([elementXPath, sourceType, result.attribute || '', result.keyword, detail]);
+    }
+
+    /**
+     * 计算字符串数组的哈希（两个不同参数的 32 位 FNV-1a 拼接）
+     * @param {string[]} parts - 参与计算的字符串
+     * @returns {string} 16 位十六进制字符串
+     */
+    static hashParts(parts) {
+        const text = parts.join('\u0000');
+        let first = 0x811c9dc5;
+        let second = 0x9e3779b9;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            first = Math.imul(first ^ code, 0x01000193);
+            second = Math.imul(second ^ code, 0x5bd1e995);
+        }
+        return (first >>> 0).toString(16).padStart(8, '0') + (second >>> 0).toString(16).padStart(8, '0');
     }
 
     getElementLocation(element) {
@@ -289,53 +1387,11 @@ class KeywordDetector {
     }
 
     generateCSSSelector(element) {
-        if (!element) return '';
-        
-        if (element.id) {
-            return `#${element.id}`;
-        }
-        
-        let selector = element.tagName.toLowerCase();
-        
-        if (element.className) {
-            const classes = element.className.split(' ').filter(c => c.trim());
-            if (classes.length > 0) {
-                selector += '.' + classes.join('.');
-            }
-        }
-        
-        return selector;
+        return this.selectors.generateCSSSelector(element);
     }
 
-    generateXPath(element) {
-        if (!element) return '';
-        
-        if (element.id) {
-            return `//*[@id="${element.id}"]`;
-        }
-        
-        const parts = [];
-        let current = element;
-        
-        while (current && current.nodeType === Node.ELEMENT_NODE) {
-            let index = 1;
-            let sibling = current.previousElementSibling;
-            
-            while (sibling) {
-                if (sibling.tagName === current.tagName) {
-                    index++;
-                }
-                sibling = sibling.previousElementSibling;
-            }
-            
-            const tagName = current.tagName.toLowerCase();
-            const part = index > 1 ? `${tagName}[${index}]` : tagName;
-            parts.unshift(part);
-            
-            current = current.parentElement;
-        }
-        
-        return '/' + parts.join('/');
+    generateXPath(node) {
+        return this.selectors.generateXPath(node);
     }
 
     // 简化的日志输出方法
@@ -366,12 +1422,50 @@ class KeywordDetector {
 
     clearResults() {
         this.detectionResults = [];
+        this.suppressedResults = [];
+        this.resultIndex.clear();
+        this.suppressedIndex.clear();
     }
 
     getResults() {
         return this.detectionResults;
     }
 
+    /**
+     * 按严重程度统计结果数量
+     * @param {Array} results - 检测结果
+     * @returns {Object} { block, warn, info }
+     */
+    countBySeverity(results) {
+        const counts = {};
+        KeywordMatcher.SEVERITIES.forEach(severity => {
+            counts[severity] = 0;
+        });
+        results.forEach(result => {
+            const severity = result.severity || KeywordMatcher.DEFAULT_SEVERITY;
+            counts[severity] = (counts[severity] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * 按可见性统计结果数量，没有可见性的结果（如子框架旧版本的结果）不计入
+     * @param {Array} results - 检测结果
+     * @returns {Object} 各可见性状态的数量
+     */
+    countByVisibility(results) {
+        const counts = {};
+        Object.keys(VisibilityClassifier.STATES).forEach(state => {
+            counts[state] = 0;
+        });
+        results.forEach(result => {
+            if (result.visibility) {
+                counts[result.visibility] = (counts[result.visibility] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+
     getStatistics() {
         const uniqueKeywords = new Set(this.detectionResults.map(r => r.keyword));
         const typeBreakdown = {};
@@ -380,15 +1474,66 @@ class KeywordDetector {
             typeBreakdown[result.type] = (typeBreakdown[result.type] || 0) + 1;
         });
         
+        const categoryBreakdown = {};
+        this.detectionResults.forEach(result => {
+            const category = result.category || '未分类';
+            categoryBreakdown[category] = (categoryBreakdown[category] || 0) + 1;
+        });
+        
+        const severityBreakdown = this.countBySeverity(this.detectionResults);
+        
+        const suppressedByRule = {};
+        this.suppressedResults.forEach(result => {
+            suppressedByRule[result.suppressedBy] = (suppressedByRule[result.suppressedBy] || 0) + 1;
+        });
+        
         return {
             totalIssues: this.detectionResults.length,
             uniqueKeywords: uniqueKeywords.size,
             keywordList: Array.from(uniqueKeywords),
-            typeBreakdown: typeBreakdown
+            typeBreakdown: typeBreakdown,
+            severityBreakdown: severityBreakdown,
+            highestSeverity: KeywordMatcher.SEVERITIES.find(severity => severityBreakdown[severity] > 0) || null,
+            categoryBreakdown: categoryBreakdown,
+            visibilityBreakdown: this.countByVisibility(this.detectionResults),
+            suppressedIssues: this.suppressedResults.length,
+            suppressedByRule: suppressedByRule
         };
     }
 }
 
+// 读取元素文本内容的检测类型，生成结果 ID 时视为同一来源
+KeywordDetector.TEXT_SOURCE_TYPES = ['text', 'form'];
+
+// 每批交给 Worker 匹配的节点数
+KeywordDetector.MATCH_BATCH_SIZE = 200;
+
+// 每个时间片的最长执行时间（毫秒），用完后让出主线程
+KeywordDetector.SLICE_BUDGET = 12;
+
+// 等待浏览器空闲的最长时间（毫秒），避免后台标签页中检测长时间停滞
+KeywordDetector.IDLE_TIMEOUT = 100;
+
+// 检测 content 的伪元素
+KeywordDetector.PSEUDO_ELEMENTS = ['::before', '::after'];
+
+// CSSRule.type 常量
+KeywordDetector.CSS_IMPORT_RULE = 3;
+KeywordDetector.CSS_FONT_FACE_RULE = 5;
+
+// 逐层读取 @import 样式表的最大层数
+KeywordDetector.MAX_IMPORT_DEPTH = 5;
+
+// 整段赋值给全局变量的页面状态数据，变量名形如 __INITIAL_STATE__
+KeywordDetector.STATE_ASSIGNMENT = /^\s*(?:(?:window|self|globalThis)\.)?(__[A-Za-z0-9_]+__)\s*=\s*(\{[\s\S]*\}|\[[\s\S]*\])\s*;?\s*$/;
+
+// 参与跨节点拼接的行内元素
+KeywordDetector.INLINE_TAGS = new Set([
+    'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT',
+    'I', 'INS', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG',
+    'SUB', 'SUP', 'TIME', 'U', 'VAR'
+]);
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = KeywordDetector;
 } else {
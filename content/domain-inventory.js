@@ -0,0 +1,225 @@
+/**
+ * 外部域名清单 - 汇总页面引用的所有第三方域名，并按允许/禁止列表标记
+ *
+ * 收集范围：链接、脚本、iframe、表单、图片和媒体、样式表及其它 link 资源、
+ * 预连接等资源提示，以及内联样式、<style> 和可读取的外部样式表中的 CSS url() 与 @import。
+ * 域名规则支持 * 通配符，如 *.example.com 匹配 example.com 的所有子域名（不含 example.com 本身）。
+ * 禁止的域名总会被标记；未列出的域名只在设置了允许列表时标记，与后台请求审计一致。
+ */
+class DomainInventory {
+    constructor(detector) {
+        this.detector = detector;
+        this.allowRules = [];
+        this.denyRules = [];
+        this.inventory = [];
+    }
+
+    /**
+     * 设置域名规则
+     * @param {Object} rules - { allow: 允许的域名模式数组, deny: 禁止的域名模式数组 }
+     */
+    setDomainRules(rules = {}) {
+        this.allowRules = (rules.allow || []).map(pattern => DomainInventory.compilePattern(pattern));
+        this.denyRules = (rules.deny || []).map(pattern => DomainInventory.compilePattern(pattern));
+    }
+
+    /**
+     * 解析域名列表输入，按换行、逗号或空白分隔
+     * @param {string} text - 输入文本
+     * @returns {string[]} 域名模式数组
+     */
+    static parseDomainList(text) {
+        return text.split(/[\s,]+/)
+            .map(pattern => pattern.trim().toLowerCase())
+            .filter(pattern => pattern);
+    }
+
+    static compilePattern(pattern) {
+        const source = pattern.trim().toLowerCase()
+            .split('*')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return { pattern: pattern, regex: new RegExp(`^${source}$`) };
+    }
+
+    /**
+     * 判断域名的状态，禁止列表优先于允许列表
+     * @param {string} host - 主机名
+     * @returns {string} denied | allowed | unlisted
+     */
+    getDomainStatus(host) {
+        const unicodeHost = UrlAnalyzer.toUnicodeHost(host);
+        const matches = rule => rule.regex.test(host) || rule.regex.test(unicodeHost);
+
+        if (this.denyRules.some(matches)) return 'denied';
+        if (this.allowRules.some(matches)) return 'allowed';
+        return 'unlisted';
+    }
+
+    /**
+     * 判断域名状态是否需要标记：禁止的域名，以及设置了允许列表时未列入的域名
+     * @param {string} status - getDomainStatus() 的返回值
+     * @returns {boolean}
+     */
+    isFlagged(status) {
+        return status === 'denied' || (status === 'unlisted' && this.allowRules.length > 0);
+    }
+
+    /**
+     * 扫描页面引用的外部域名
+     * @param {Node} root - 扫描范围的根节点
+     * @returns {Array} 去重后的域名清单 { host, unicodeHost, status, flagged, count, sources, elements }，
+     *                  按禁止、未列出、允许的顺序排列
+     */
+    scan(root = document) {
+        const hosts = new Map();
+        const pageHost = window.location.hostname;
+
+        this.collectReferences(root).forEach(({ element, source, url, baseUrl }) => {
+            let parsed;
+            try {
+                parsed = new URL(url, baseUrl || document.baseURI);
+            } catch (error) {
+                return;
+            }
+
+            if (!DomainInventory.WEB_PROTOCOLS.includes(parsed.protocol) ||
+                !parsed.hostname || parsed.hostname === pageHost) {
+                return;
+            }
+
+            const host = parsed.hostname.toLowerCase();
+            if (!hosts.has(host)) {
+                const status = this.getDomainStatus(host);
+                hosts.set(host, {
+                    host: host,
+                    unicodeHost: UrlAnalyzer.toUnicodeHost(host),
+                    status: status,
+                    flagged: this.isFlagged(status),
+                    count: 0,
+                    sources: {},
+                    elements: []
+                });
+            }
+
+            const entry = hosts.get(host);
+            entry.count++;
+            entry.sources[source] = (entry.sources[source] || 0) + 1;
+            entry.elements.push({ element: element, source: source, url: parsed.href });
+        });
+
+        const statusOrder = ['denied', 'unlisted', 'allowed'];
+        this.inventory = Array.from(hosts.values())
+            .sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+                b.count - a.count || a.host.localeCompare(b.host));
+
+        this.logInventory();
+        return this.inventory;
+    }
+
+    /**
+     * 收集根节点范围内所有引用的地址
+     * @returns {Array} { element, source, url, baseUrl }，baseUrl 为外部样式表的地址，其它地址相对于文档解析
+     */
+    collectReferences(root) {
+        const references = [];
+        const add = (element, source, url, baseUrl = null) => {
+            if (url && url.trim()) {
+                references.push({ element: element, source: source, url: url.trim(), baseUrl: baseUrl });
+            }
+        };
+
+        DomainInventory.SOURCES.forEach(({ selector, source, attributes }) => {
+            this.detector.queryElements(root, selector).forEach(element => {
+                attributes.forEach(attrName => {
+                    const value = element.getAttribute(attrName);
+                    if (value) {
+                        UrlAnalyzer.splitUrlList(attrName, value).forEach(url => add(element, source, url));
+                    }
+                });
+            });
+        });
+
+        // link 元素按 rel 区分资源提示、样式表和其它资源
+        this.detector.queryElements(root, 'link[href]').forEach(link => {
+            const rels = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+            let source = 'resource';
+            if (rels.some(rel => DomainInventory.HINT_RELS.includes(rel))) {
+                source = 'preconnect';
+            } else if (rels.includes('stylesheet')) {
+                source = 'stylesheet';
+            }
+            add(link, source, link.getAttribute('href'));
+        });
+
+        this.detector.queryElements(root, '[style]').forEach(element => {
+            UrlAnalyzer.extractCssUrls(element.getAttribute('style')).forEach(url => add(element, 'css', url));
+        });
+        // 与样式检测共用样式表遍历，包括外部样式表、@import 和 adoptedStyleSheets
+        this.detector.collectStyleRules(root, false).forEach(({ rule, owner, baseUrl }) => {
+            this.detector.getRuleUrls(rule).forEach(({ url }) => add(owner, 'css', url, baseUrl));
+        });
+
+        return references;
+    }
+
+    /**
+     * 移除 DOM 引用，便于通过消息传递
+     */
+    serializeInventory() {
+        return this.inventory.map(({ elements, ...entry }) => ({
+            ...entry,
+            elements: elements.map(({ element, source, url }) => ({
+                source: source,
+                url: url,
+                tagName: element.tagName.toLowerCase(),
+                selector: this.detector.generateCSSSelector(element),
+                xpath: this.detector.generateXPath(element)
+            }))
+        }));
+    }
+
+    getStatistics() {
+        const statusBreakdown = { denied: 0, unlisted: 0, allowed: 0 };
+        this.inventory.forEach(entry => {
+            statusBreakdown[entry.status]++;
+        });
+
+        return {
+            totalHosts: this.inventory.length,
+            flaggedHosts: this.inventory.filter(entry => entry.flagged).length,
+            totalReferences: this.inventory.reduce((sum, entry) => sum + entry.count, 0),
+            statusBreakdown: statusBreakdown
+        };
+    }
+
+    logInventory() {
+        const flagged = this.inventory.filter(entry => entry.flagged);
+        console.log(`🌍 外部域名: ${this.inventory.length} 个，已标记 ${flagged.length} 个`);
+        flagged.forEach(entry => {
+            console.log(`${entry.status === 'denied' ? '⛔' : '⚠️'} ${entry.unicodeHost} - 引用 ${entry.count} 次 (${Object.keys(entry.sources).join(', ')})`);
+        });
+    }
+}
+
+DomainInventory.WEB_PROTOCOLS = ['http:', 'https:', 'ws:', 'wss:', 'ftp:'];
+
+// 资源提示类的 link rel
+DomainInventory.HINT_RELS = ['preconnect', 'dns-prefetch', 'preload', 'prefetch', 'prerender', 'modulepreload'];
+
+// 按元素收集的地址来源
+DomainInventory.SOURCES = [
+    { selector: 'a[href], area[href]', source: 'link', attributes: ['href'] },
+    { selector: 'script[src]', source: 'script', attributes: ['src'] },
+    { selector: 'iframe[src], frame[src]', source: 'iframe', attributes: ['src'] },
+    { selector: 'form[action]', source: 'form', attributes: ['action'] },
+    { selector: 'button[formaction], input[formaction]', source: 'form', attributes: ['formaction'] },
+    { selector: 'img, picture source, input[type="image"]', source: 'image', attributes: ['src', 'srcset'] },
+    { selector: 'video, audio, video source, audio source, track', source: 'media', attributes: ['src', 'poster'] }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DomainInventory;
+} else {
+    self.DomainInventory = DomainInventory;
+}
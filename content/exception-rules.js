@@ -0,0 +1,220 @@
+/**
+ * 例外规则 - 按选择器、地址、上下文短语或结果类型忽略已知的误报
+ *
+ * 规则每行一条，格式为 "类型: 值"：
+ * - selector: footer .legal    元素本身或其祖先匹配选择器（可跨越 Shadow DOM 边界）
+ * - url: *.example.com         页面或请求地址匹配，* 为通配符；不含 / 时只匹配主机名
+ * - phrase: paypal.com/legal   命中位置完全落在该短语之内（不区分大小写）
+ * - type: link_href            检测结果类型
+ *
+ * 被规则忽略的结果不会被丢弃，而是单独记录，供审核人员查看。
+ */
+class ExceptionRules {
+    constructor(rules = []) {
+        this.setRules(rules);
+    }
+
+    /**
+     * 设置例外规则
+     * @param {Array} rules - 规则数组 { type, value }
+     * @returns {Array} 无效的规则及错误原因 { rule, message }
+     */
+    setRules(rules) {
+        this.rules = [];
+        this.errors = [];
+
+        rules.forEach(rule => {
+            try {
+                this.rules.push(ExceptionRules.compileRule(rule));
+            } catch (error) {
+                this.errors.push({ rule: ExceptionRules.formatRule(rule), message: error.message });
+            }
+        });
+
+        return this.errors;
+    }
+
+    /**
+     * 按行解析规则输入，空行和以 # 开头的注释行会被忽略
+     * @param {string} text - 规则输入文本
+     * @returns {Array} 规则数组 { type, value }
+     */
+    static parseRuleList(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const parsed = line.match(/^([a-z]+)\s*[:：]\s*(.*)$/i);
+                return parsed ?
+                    { type: parsed[1].toLowerCase(), value: parsed[2].trim() } :
+                    { type: '', value: line };
+            });
+    }
+
+    static formatRule(rule) {
+        return rule.type ? `${rule.type}: ${rule.value}` : rule.value;
+    }
+
+    /**
+     * 校验并预处理单条规则
+     * @param {Object} rule - { type, value }
+     * @returns {Object} 编译后的规则
+     */
+    static compileRule(rule) {
+        if (!ExceptionRules.TYPES.includes(rule.type)) {
+            throw new Error(rule.type ? `未知的规则类型: ${rule.type}` : '规则格式应为 "类型: 值"');
+        }
+        if (!rule.value) {
+            throw new Error('规则内容不能为空');
+        }
+
+        const compiled = { type: rule.type, value: rule.value };
+
+        // 后台 Service Worker 中没有 DOM，选择器规则只在页面中校验和使用
+        if (rule.type === 'selector' && typeof document !== 'undefined') {
+            try {
+                document.createDocumentFragment().querySelector(rule.value);
+            } catch (error) {
+                throw new Error(`无效的选择器: ${rule.value}`);
+            }
+        } else if (rule.type === 'url') {
+            const pattern = rule.value.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+            compiled.hostOnly = !pattern.includes('/');
+            compiled.regex = new RegExp('^' + pattern.split('*').map(ExceptionRules.escapeRegExp).join('.*') + '$', 'i');
+        } else if (rule.type === 'phrase') {
+            // 在原文中不区分大小写地查找，toLowerCase() 可能改变文本长度（如 İ），使位置与原文错开
+            compiled.regex = new RegExp(ExceptionRules.escapeRegExp(rule.value), 'giu');
+        }
+
+        return compiled;
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 是否存在指定类型的规则
+     * @param {string} type - 规则类型
+     * @returns {boolean}
+     */
+    hasRules(type) {
+        return this.rules.some(rule => rule.type === type);
+    }
+
+    /**
+     * 查找使文本中某处匹配被忽略的短语规则
+     * @param {string} text - 匹配所在的文本
+     * @param {number} start - 匹配起始位置
+     * @param {number} end - 匹配结束位置（不含）
+     * @returns {Object|null} 命中的规则
+     */
+    findPhraseRule(text, start, end) {
+        return this.rules.find(rule => rule.type === 'phrase' && ExceptionRules.isInPhrase(rule.regex, text, start, end)) || null;
+    }
+
+    /**
+     * 检查 [start, end) 是否落在短语在原文中的某次出现之内，短语可能重叠出现，逐个位置查找
+     * @param {RegExp} regex - 带 g 标志的短语正则
+     */
+    static isInPhrase(regex, text, start, end) {
+        // 大小写折叠不改变短语的大致长度，从能覆盖匹配起点的最早位置开始查找
+        regex.lastIndex = Math.max(0, start - regex.source.length);
+        let match;
+        while ((match = regex.exec(text)) !== null && match.index <= start) {
+            if (match.index + match[0].length >= end) {
+                return true;
+            }
+            // 跳过整个字符，lastIndex 落在代理对中间时会退回到同一位置
+            regex.lastIndex = match.index + (text.codePointAt(match.index) > 0xFFFF ? 2 : 1);
+        }
+        return false;
+    }
+
+    /**
+     * 按关键词归并匹配，完全落在例外短语之内的匹配单独归组，并记录命中的规则
+     * @param {KeywordMatcher} matcher - 产生匹配的匹配器
+     * @param {Array} matches - 匹配结果
+     * @param {string} text - 匹配所在的文本
+     * @returns {Array} 同 KeywordMatcher.groupByKeyword()，被忽略的分组带有 suppressedBy
+     */
+    groupMatches(matcher, matches, text) {
+        if (!this.hasRules('phrase')) {
+            return matcher.groupByKeyword(matches);
+        }
+
+        const kept = [];
+        const suppressed = [];
+        const rules = new Map();
+        matches.forEach(match => {
+            const rule = this.findPhraseRule(text, match.start, match.end);
+            if (rule) {
+                rules.set(match, rule);
+                suppressed.push(match);
+            } else {
+                kept.push(match);
+            }
+        });
+
+        return matcher.groupByKeyword(kept).concat(
+            matcher.groupByKeyword(suppressed).map(group => ({
+                ...group,
+                suppressedBy: rules.get(group.matches[0])
+            }))
+        );
+    }
+
+    /**
+     * 查找使检测结果被忽略的选择器、地址或类型规则
+     * @param {Object} result - 检测结果
+     * @returns {Object|null} 命中的规则
+     */
+    findResultRule(result) {
+        return this.rules.find(rule => {
+            switch (rule.type) {
+                case 'selector':
+                    return Boolean(result.element) && this.matchesSelector(result.element, rule.value);
+                case 'url':
+                    return Boolean(result.url) && this.matchesUrl(rule, result.url);
+                case 'type':
+                    return result.type === rule.value;
+                default:
+                    return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * 判断元素本身或其祖先是否匹配选择器，可跨越 Shadow DOM 边界
+     */
+    matchesSelector(element, selector) {
+        let current = element;
+        while (current) {
+            if (current.nodeType === Node.ELEMENT_NODE && current.closest(selector)) {
+                return true;
+            }
+            const root = current.getRootNode();
+            current = root && root.host ? root.host : null;
+        }
+        return false;
+    }
+
+    matchesUrl(rule, url) {
+        try {
+            const parsed = new URL(url, self.location.href);
+            const target = rule.hostOnly ?
+                parsed.hostname : parsed.host + parsed.pathname + parsed.search;
+            return rule.regex.test(target);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+ExceptionRules.TYPES = ['selector', 'url', 'phrase', 'type'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExceptionRules;
+} else {
+    self.ExceptionRules = ExceptionRules;
+}
@@ -0,0 +1,95 @@
+/**
+ * 框架结果汇总器 - 让子框架执行检测，并把结果汇总到顶层框架
+ *
+ * 扫描请求和结果都经由后台 Service Worker 转发：顶层框架发送 scanFrames 消息，
+ * 后台用 chrome.tabs.sendMessage 按 frameId 通知每个子框架检测（见 background/frame-scanner.js）。
+ * 扩展消息不经过页面的 window，页面和子框架中的脚本既看不到关键词，也无法伪造或抢先返回结果。
+ * 子框架检测期间定时向后台发送进度，后台按最后一次进度判断超时，检测较慢的框架不会被误判为没有结果。
+ */
+class FrameAggregator {
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        // 子框架两次进度之间的最长间隔
+        this.timeout = options.timeout || 3000;
+        this.progressInterval = options.progressInterval || 1000;
+    }
+
+    /**
+     * 收集当前页面中所有子框架（包括嵌套框架）的检测结果，只在顶层框架调用
+     * @param {string[]} keywords - 检测关键词
+     * @returns {Promise<Object>} { results, timedOutFrames }：results 为附带 frameId、frameUrl 和 framePath 的检测结果；
+     *                            timedOutFrames 为检测超时、结果缺失的子框架 { frameId, url, framePath }
+     */
+    async collectFrameResults(keywords) {
+        const empty = { results: [], timedOutFrames: [] };
+        if (this.detector.queryElements(document, 'iframe, frame').length === 0) {
+            return empty;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'scanFrames',
+                keywords: keywords,
+                timeout: this.timeout
+            });
+            if (!response || !response.success) {
+                return empty;
+            }
+
+            return {
+                results: response.results.map(result => ({
+                    ...result,
+                    // 不同框架中路径相同的元素会得到相同的 ID，加入 frameId 区分，frameId 在页面的生命周期内不变
+                    id: KeywordDetector.hashParts([String(result.frameId), result.id])
+                })),
+                timedOutFrames: (response.frames || [])
+                    .filter(frame => frame.status === 'timeout')
+                    .map(({ frameId, url, framePath }) => ({ frameId, url, framePath }))
+            };
+        } catch (error) {
+            console.error('❌ 子框架检测失败:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * 在子框架中执行检测，由后台转发的 scanFrame 消息触发
+     * @returns {Promise<Array>} 可以通过扩展消息传递的检测结果
+     */
+    async scanForTopFrame(keywords) {
+        this.detector.setKeywords(keywords);
+
+        // 被新的检测请求中止时没有结果
+        let lastProgress = Date.now();
+        const results = await this.detector.detectKeywords(() => {
+            if (Date.now() - lastProgress < this.progressInterval) return;
+
+            lastProgress = Date.now();
+            chrome.runtime.sendMessage({ action: 'frameScanProgress' }).catch(() => {
+                // 后台没有等待本框架的检测时没有接收方，忽略
+            });
+        }) || [];
+        return results.map(result => this.serializeResult(result));
+    }
+
+    /**
+     * 移除无法跨框架传递的DOM引用，并记录来源框架
+     */
+    serializeResult(result) {
+        const { element, node, ...serializable } = result;
+        if (serializable.ranges) {
+            serializable.ranges = serializable.ranges.map(({ start, end }) => ({ start, end }));
+        }
+
+        return {
+            ...serializable,
+            frameUrl: window.location.href
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameAggregator;
+} else {
+    window.FrameAggregator = FrameAggregator;
+}
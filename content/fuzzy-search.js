@@ -0,0 +1,112 @@
+/**
+ * 模糊子串搜索 - 基于受限 Damerau–Levenshtein 距离（允许相邻字符换位）的近似匹配
+ *
+ * 在文本中查找与模式串编辑距离不超过 maxDistance 的子串，插入、删除、替换和
+ * 相邻换位各计 1 次编辑。
+ */
+class FuzzySearch {
+    /**
+     * 查找所有近似匹配
+     * @param {string} text - 待检测文本（调用方负责大小写归一）
+     * @param {string} pattern - 模式串
+     * @param {number} maxDistance - 允许的最大编辑距离
+     * @returns {Array} 互不重叠的匹配 { start, end, distance }，按出现位置排序
+     */
+    static search(text, pattern, maxDistance) {
+        const m = pattern.length;
+        const n = text.length;
+        if (m === 0 || n === 0) return [];
+
+        // 按列计算：distances[i] 为模式串前 i 个字符与"以当前位置结尾的某个子串"的最小距离，
+        // starts[i] 记录该子串的起始位置
+        let prevPrevDistances = null;
+        let prevPrevStarts = null;
+        let prevDistances = new Array(m + 1);
+        let prevStarts = new Array(m + 1);
+        for (let i = 0; i <= m; i++) {
+            prevDistances[i] = i;
+            prevStarts[i] = 0;
+        }
+
+        const candidates = [];
+
+        for (let j = 1; j <= n; j++) {
+            const distances = new Array(m + 1);
+            const starts = new Array(m + 1);
+            distances[0] = 0;
+            starts[0] = j;
+
+            for (let i = 1; i <= m; i++) {
+                const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+
+                // 替换或匹配
+                let best = prevDistances[i - 1] + cost;
+                let bestStart = prevStarts[i - 1];
+
+                // 文本中多出一个字符
+                if (prevDistances[i] + 1 < best ||
+                    (prevDistances[i] + 1 === best && prevStarts[i] > bestStart)) {
+                    best = prevDistances[i] + 1;
+                    bestStart = prevStarts[i];
+                }
+
+                // 文本中缺少一个字符
+                if (distances[i - 1] + 1 < best ||
+                    (distances[i - 1] + 1 === best && starts[i - 1] > bestStart)) {
+                    best = distances[i - 1] + 1;
+                    bestStart = starts[i - 1];
+                }
+
+                // 相邻字符换位
+                if (i > 1 && j > 1 && prevPrevDistances &&
+                    pattern[i - 1] === text[j - 2] && pattern[i - 2] === text[j - 1] &&
+                    prevPrevDistances[i - 2] + 1 < best) {
+                    best = prevPrevDistances[i - 2] + 1;
+                    bestStart = prevPrevStarts[i - 2];
+                }
+
+                distances[i] = best;
+                starts[i] = bestStart;
+            }
+
+            if (distances[m] <= maxDistance && starts[m] < j) {
+                candidates.push({ start: starts[m], end: j, distance: distances[m] });
+            }
+
+            prevPrevDistances = prevDistances;
+            prevPrevStarts = prevStarts;
+            prevDistances = distances;
+            prevStarts = starts;
+        }
+
+        return FuzzySearch.selectBestMatches(candidates, m);
+    }
+
+    /**
+     * 从重叠的候选中优先选择距离最小、长度最接近模式串的匹配
+     */
+    static selectBestMatches(candidates, patternLength) {
+        const sorted = candidates.slice().sort((a, b) =>
+            a.distance - b.distance ||
+            Math.abs(a.end - a.start - patternLength) - Math.abs(b.end - b.start - patternLength) ||
+            a.start - b.start
+        );
+
+        const selected = [];
+        sorted.forEach(candidate => {
+            const overlaps = selected.some(match =>
+                candidate.start < match.end && match.start < candidate.end);
+            if (!overlaps) {
+                selected.push(candidate);
+            }
+        });
+
+        return selected.sort((a, b) => a.start - b.start);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuzzySearch;
+} else {
+    self.FuzzySearch = FuzzySearch;
+}
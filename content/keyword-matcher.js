@@ -0,0 +1,607 @@
+/**
+ * 关键词匹配器 - 将关键词编译为统一的匹配规则
+ *
+ * 支持的关键词语法：
+ * - 普通关键词：paypal（不区分大小写的子串匹配）
+ * - 正则表达式：/pay(pal|ment)\.com/i
+ * - 通配符：*.shopify.*（* 匹配任意个非空白字符，不区分大小写）
+ * - 模糊匹配：paypal~1（允许最多 1 次插入、删除、替换或相邻换位）
+ * - 地址组成部分：host=*.stripe.com（只用于地址，要求整个组成部分与模式一致，* 匹配任意字符），
+ *   可用的组成部分为 scheme、host、path、query、fragment、url
+ *
+ * 关键词末尾可以追加匹配选项，多个选项用空格分隔：
+ * - pay [word]：整词匹配，CJK 文字没有词边界，不受此限制
+ * - PayPal [case]：区分大小写
+ * - sa [text] / sa [attr]：只检测页面文本 / 只检测属性值（含 URL）
+ * - paypal [#支付渠道]：归入分类，严重程度默认取分类的设置
+ * - paypal [block] / [warn] / [info]：单独指定严重程度
+ *
+ * 关键词和待检测文本在匹配前都会经过 TextNormalizer 归一化，匹配位置映射回原文。
+ */
+class KeywordMatcher {
+    constructor(keywords = [], normalizationOptions = {}) {
+        this.normalizer = new TextNormalizer(normalizationOptions);
+        this.keywords = [];
+        this.categories = [];
+        this.entries = [];
+        this.errors = [];
+        this.signature = null;
+        this.literalEntries = [];
+        this.patternEntries = [];
+        this.fuzzyEntries = [];
+        this.componentEntries = [];
+        this.automaton = null;
+        this.separatorTolerant = false;
+        this.compactAutomaton = null;
+        this.compile(keywords);
+    }
+
+    /**
+     * 编译关键词列表，关键词列表未变化时直接复用已构建的自动机
+     * @param {Array} keywords - 关键词数组，元素为关键词字符串或 parseKeywordOptions() 返回的对象
+     * @returns {Array} 无法编译的关键词及错误原因
+     */
+    compile(keywords) {
+        const signature = JSON.stringify([keywords, this.categories, this.normalizer.options, this.separatorTolerant]);
+        if (signature === this.signature) {
+            return this.errors;
+        }
+
+        this.signature = signature;
+        this.keywords = keywords;
+        this.entries = [];
+        this.errors = [];
+
+        const categorySeverity = new Map(this.categories.map(category => [category.name, category.severity]));
+
+        keywords.forEach(keyword => {
+            try {
+                const options = KeywordMatcher.parseKeywordOptions(keyword);
+                const entry = {
+                    ...KeywordMatcher.parseKeyword(options.keyword, this.normalizer, options),
+                    wholeWord: options.wholeWord,
+                    caseSensitive: options.caseSensitive,
+                    scope: options.scope,
+                    category: options.category,
+                    severity: options.severity || categorySeverity.get(options.category) || KeywordMatcher.DEFAULT_SEVERITY,
+                    order: this.entries.length
+                };
+                this.entries.push(entry);
+            } catch (error) {
+                this.errors.push({ keyword: KeywordMatcher.formatKeyword(keyword), message: error.message });
+            }
+        });
+
+        this.literalEntries = this.entries.filter(entry => entry.type === 'literal');
+        this.patternEntries = this.entries.filter(entry => entry.type === 'regex' || entry.type === 'wildcard');
+        this.fuzzyEntries = this.entries.filter(entry => entry.type === 'fuzzy');
+        this.componentEntries = this.entries.filter(entry => entry.type === 'component');
+        this.automaton = new AhoCorasick(this.literalEntries.map(entry => entry.needle));
+
+        // 分隔符容错模式下，额外构建去除分隔符后的关键词自动机
+        this.literalEntries.forEach(entry => {
+            entry.compactNeedle = TextNormalizer.stripSeparators(entry.needle);
+            entry.compactCaseNeedle = entry.caseNeedle && TextNormalizer.stripSeparators(entry.caseNeedle);
+        });
+        this.compactAutomaton = this.separatorTolerant ?
+            new AhoCorasick(this.literalEntries.map(entry => entry.compactNeedle)) : null;
+
+        return this.errors;
+    }
+
+    /**
+     * 设置文本归一化选项，选项变化时重新编译关键词
+     * @param {Object} options - TextNormalizer 选项
+     * @returns {Array} 无法编译的关键词及错误原因
+     */
+    setNormalizationOptions(options) {
+        this.normalizer.setOptions(options);
+        return this.compile(this.keywords);
+    }
+
+    /**
+     * 设置关键词分类，未单独指定严重程度的关键词使用所属分类的严重程度
+     * @param {Array} categories - 分类数组 { name, severity }
+     * @returns {Array} 无法编译的关键词及错误原因
+     */
+    setCategories(categories) {
+        this.categories = categories.filter(category => KeywordMatcher.SEVERITIES.includes(category.severity));
+        return this.compile(this.keywords);
+    }
+
+    /**
+     * 开启或关闭分隔符容错匹配，开启后 "p-a-y-p-a-l"、"违 法" 等写法也能命中普通关键词
+     * @param {boolean} enabled - 是否开启
+     */
+    setSeparatorTolerant(enabled) {
+        this.separatorTolerant = Boolean(enabled);
+        return this.compile(this.keywords);
+    }
+
+    /**
+     * 解析关键词及其匹配选项
+     * @param {string|Object} keyword - "关键词 [选项]" 形式的字符串，或已解析的选项对象
+     * @returns {Object} { keyword, wholeWord, caseSensitive, scope: 'all' | 'text' | 'attribute',
+     *                    category: 分类名称, severity: 单独指定的严重程度，未指定时为 null }
+     */
+    static parseKeywordOptions(keyword) {
+        if (keyword && typeof keyword === 'object') {
+            return {
+                keyword: String(keyword.keyword || ''),
+                wholeWord: Boolean(keyword.wholeWord),
+                caseSensitive: Boolean(keyword.caseSensitive),
+                scope: KeywordMatcher.SCOPES.includes(keyword.scope) ? keyword.scope : 'all',
+                category: String(keyword.category || ''),
+                severity: KeywordMatcher.SEVERITIES.includes(keyword.severity) ? keyword.severity : null
+            };
+        }
+
+        const source = String(keyword).trim();
+        const token = '(?:word|case|text|attr|block|warn|info|#[^\\s\\[\\]]+)';
+        const suffix = source.match(new RegExp(`^(.*?)\\s*\\[(${token}(?:\\s+${token})*)\\]$`, 's'));
+        const flags = suffix ? suffix[2].split(/\s+/) : [];
+        const categoryFlag = flags.find(flag => flag.startsWith('#'));
+        const textOnly = flags.includes('text');
+        const attributeOnly = flags.includes('attr');
+
+        return {
+            keyword: suffix && suffix[1] ? suffix[1] : source,
+            wholeWord: flags.includes('word'),
+            caseSensitive: flags.includes('case'),
+            // 同时指定 text 和 attr 等同于不限制
+            scope: textOnly === attributeOnly ? 'all' : (textOnly ? 'text' : 'attribute'),
+            category: categoryFlag ? categoryFlag.slice(1) : '',
+            severity: KeywordMatcher.SEVERITIES.find(severity => flags.includes(severity)) || null
+        };
+    }
+
+    /**
+     * 将关键词及其选项还原为输入框中的写法
+     * @param {string|Object} keyword - 关键词字符串或选项对象
+     * @returns {string}
+     */
+    static formatKeyword(keyword) {
+        const options = KeywordMatcher.parseKeywordOptions(keyword);
+        const flags = [];
+        if (options.wholeWord) flags.push('word');
+        if (options.caseSensitive) flags.push('case');
+        if (options.scope === 'text') flags.push('text');
+        if (options.scope === 'attribute') flags.push('attr');
+        if (options.severity) flags.push(options.severity);
+        if (options.category) flags.push(`#${options.category}`);
+
+        return flags.length > 0 ? `${options.keyword} [${flags.join(' ')}]` : options.keyword;
+    }
+
+    /**
+     * 按行解析分类设置，每行格式为 "分类名称: 严重程度"
+     * @param {string} text - 分类设置文本
+     * @returns {Object} { categories: 分类数组 { name, severity }, errors: 无效行及错误原因 { line, message } }
+     */
+    static parseCategoryList(text) {
+        const categories = [];
+        const errors = [];
+
+        text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .forEach(line => {
+                const parsed = line.match(/^#?(.+?)\s*[:：]\s*(\S+)$/);
+                if (!parsed) {
+                    errors.push({ line: line, message: '格式应为 "分类名称: 严重程度"' });
+                } else if (!KeywordMatcher.SEVERITIES.includes(parsed[2].toLowerCase())) {
+                    errors.push({ line: line, message: `严重程度只能是 ${KeywordMatcher.SEVERITIES.join('/')}` });
+                } else {
+                    categories.push({ name: parsed[1], severity: parsed[2].toLowerCase() });
+                }
+            });
+
+        return { categories: categories, errors: errors };
+    }
+
+    /**
+     * 解析单个关键词
+     * @param {string} keyword - 关键词原文
+     * @param {TextNormalizer} normalizer - 文本归一化器，正则表达式不做归一化
+     * @param {Object} options - { caseSensitive: 是否区分大小写 }
+     * @returns {Object} 编译后的匹配规则
+     */
+    static parseKeyword(keyword, normalizer = new TextNormalizer(), options = {}) {
+        const source = keyword.trim();
+        const regexLiteral = source.match(/^\/(.+)\/([a-z]*)$/s);
+
+        if (regexLiteral) {
+            const flags = regexLiteral[2];
+            if (flags.includes('g') || flags.includes('y')) {
+                throw new Error(`不支持的正则修饰符: ${flags}`);
+            }
+
+            let regex;
+            try {
+                regex = new RegExp(regexLiteral[1], flags + 'g');
+            } catch (error) {
+                throw new Error(`无效的正则表达式: ${error.message}`);
+            }
+
+            return { keyword: keyword, type: 'regex', regex: regex };
+        }
+
+        const component = source.match(/^(scheme|host|path|query|fragment|url)=(.+)$/s);
+        if (component) {
+            const pattern = component[2]
+                .split('*')
+                .map(part => KeywordMatcher.escapeRegExp(normalizer.normalize(part).text))
+                .join('.*');
+
+            return {
+                keyword: keyword,
+                type: 'component',
+                component: component[1],
+                regex: new RegExp(`^${pattern}$`, options.caseSensitive ? 's' : 'is')
+            };
+        }
+
+        if (source.includes('*')) {
+            const pattern = source
+                .split('*')
+                .map(part => KeywordMatcher.escapeRegExp(normalizer.normalize(part).text))
+                .join('\\S*');
+
+            if (!pattern.replace(/\\S\*/g, '')) {
+                throw new Error('通配符关键词至少需要包含一个普通字符');
+            }
+
+            return { keyword: keyword, type: 'wildcard', regex: new RegExp(pattern, options.caseSensitive ? 'g' : 'gi') };
+        }
+
+        const fuzzy = source.match(/^(.+?)~(\d+)$/s);
+        const term = fuzzy ? fuzzy[1] : source;
+        const needle = normalizer.normalize(term, { lowerCase: true }).text;
+        if (!needle) {
+            throw new Error('关键词归一化后为空');
+        }
+        // 区分大小写时保留原始大小写，用于校验自动机（按小写匹配）的命中结果
+        const caseNeedle = options.caseSensitive ? normalizer.normalize(term).text : null;
+
+        if (fuzzy) {
+            const maxDistance = parseInt(fuzzy[2], 10);
+            if (maxDistance > KeywordMatcher.MAX_FUZZY_DISTANCE) {
+                throw new Error(`模糊匹配距离不能超过 ${KeywordMatcher.MAX_FUZZY_DISTANCE}`);
+            }
+            if (maxDistance >= needle.length) {
+                throw new Error('模糊匹配距离必须小于关键词长度');
+            }
+            if (maxDistance > 0) {
+                return { keyword: keyword, type: 'fuzzy', needle: needle, caseNeedle: caseNeedle, maxDistance: maxDistance };
+            }
+        }
+
+        return { keyword: keyword, type: 'literal', needle: needle, caseNeedle: caseNeedle };
+    }
+
+    /**
+     * 按英文逗号拆分关键词输入，正则表达式中的逗号不会被拆分
+     * @param {string} text - 关键词输入文本
+     * @returns {string[]} 关键词数组
+     */
+    static splitKeywordList(text) {
+        const keywords = [];
+        let current = '';
+        let inRegex = false;
+        let inClass = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inRegex) {
+                current += char;
+                if (char === '\\' && i + 1 < text.length) {
+                    current += text[++i];
+                } else if (char === '[') {
+                    inClass = true;
+                } else if (char === ']') {
+                    inClass = false;
+                } else if (char === '/' && !inClass) {
+                    inRegex = false;
+                }
+                continue;
+            }
+
+            if (char === ',') {
+                keywords.push(current);
+                current = '';
+                continue;
+            }
+
+            if (char === '/' && current.trim() === '') {
+                inRegex = true;
+            }
+            current += char;
+        }
+        keywords.push(current);
+
+        return keywords.map(keyword => keyword.trim()).filter(keyword => keyword);
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 查找文本中所有关键词的出现位置
+     * @param {string} text - 待检测文本
+     * @param {Object} options - { scope: 'text' | 'attribute'，只匹配适用于该检测范围的关键词，不传则不限制；
+     *                            urlComponent: 文本所属的地址组成部分，只有指定时才匹配地址组成部分规则 }
+     * @returns {Array} 匹配结果 { keyword, order, category, severity, start, end, text, distance, evasion }，按出现位置排序
+     */
+    findMatches(text, options = {}) {
+        const matches = [];
+        if (!text) return matches;
+
+        const inScope = entry => !options.scope || entry.scope === 'all' || entry.scope === options.scope;
+        const accept = match => {
+            if (inScope(match.entry) && this.isAcceptedMatch(match.entry, text, match)) {
+                matches.push(match);
+            }
+        };
+
+        const folded = this.literalEntries.length > 0 || this.fuzzyEntries.length > 0 ?
+            this.normalizer.normalize(text, { lowerCase: true }) : null;
+        let normalized = null;
+        const getNormalized = () => normalized || (normalized = this.normalizer.normalize(text));
+
+        // 普通关键词通过自动机一次扫描完成匹配
+        if (this.literalEntries.length > 0) {
+            this.automaton.search(folded.text).forEach(match => {
+                const entry = this.literalEntries[match.patternIndex];
+                accept(this.createMatch(entry, text, folded, match.start, match.end));
+            });
+
+            if (this.compactAutomaton) {
+                this.findSeparatedMatches(text, folded, matches).forEach(accept);
+            }
+        }
+
+        this.fuzzyEntries.filter(inScope).forEach(entry => {
+            // 区分大小写的模糊匹配在保留大小写的归一化文本上进行
+            const source = entry.caseNeedle ? getNormalized() : folded;
+            FuzzySearch.search(source.text, entry.caseNeedle || entry.needle, entry.maxDistance).forEach(match => {
+                accept(this.createMatch(entry, text, source, match.start, match.end, {
+                    distance: match.distance
+                }));
+            });
+        });
+
+        if (options.urlComponent) {
+            this.componentEntries
+                .filter(entry => entry.component === options.urlComponent && inScope(entry))
+                .forEach(entry => {
+                    const source = getNormalized();
+                    if (source.text && entry.regex.test(source.text)) {
+                        accept(this.createMatch(entry, text, source, 0, source.text.length));
+                    }
+                });
+        }
+
+        this.patternEntries.filter(inScope).forEach(entry => {
+            const source = getNormalized();
+            entry.regex.lastIndex = 0;
+            let match;
+            while ((match = entry.regex.exec(source.text)) !== null) {
+                if (match[0].length === 0) {
+                    // 跳过空匹配，避免死循环
+                    entry.regex.lastIndex++;
+                    continue;
+                }
+                accept(this.createMatch(entry, text, source, match.index, match.index + match[0].length));
+            }
+        });
+
+        return matches
+            .map(({ entry, ...match }) => match)
+            .sort((a, b) => a.start - b.start || a.order - b.order);
+    }
+
+    /**
+     * 校验匹配是否满足关键词的大小写和整词选项
+     * @param {Object} entry - 编译后的匹配规则
+     * @param {string} text - 原文
+     * @param {Object} match - createMatch() 的返回值
+     * @returns {boolean}
+     */
+    isAcceptedMatch(entry, text, match) {
+        if (entry.type === 'literal' && entry.caseNeedle) {
+            const separated = match.evasion.includes('separator');
+            const matched = this.normalizer.normalize(match.text).text;
+            const expected = separated ? entry.compactCaseNeedle : entry.caseNeedle;
+            if ((separated ? TextNormalizer.stripSeparators(matched) : matched) !== expected) {
+                return false;
+            }
+        }
+
+        if (entry.wholeWord) {
+            return this.isWordBoundary(text, match.start, true) && this.isWordBoundary(text, match.end, false);
+        }
+        return true;
+    }
+
+    /**
+     * 判断原文中的匹配边界是否为词边界
+     * 边界内外任意一侧不是词字符即视为词边界。CJK 等不以空格分词的文字不算词字符，
+     * 因此 "用paypal付款" 中的 paypal、"违法行为" 中的 "违法" 都满足整词匹配；
+     * 归一化会移除的不可见字符被跳过，"pay\u200Bment" 仍是一个词。
+     * @param {string} text - 原文
+     * @param {number} index - 边界位置
+     * @param {boolean} isStart - 是否为匹配的起始边界
+     * @returns {boolean}
+     */
+    isWordBoundary(text, index, isStart) {
+        const inside = this.readChar(text, index, isStart ? 1 : -1);
+        const outside = this.readChar(text, index, isStart ? -1 : 1);
+
+        return !KeywordMatcher.isWordChar(inside) || !KeywordMatcher.isWordChar(outside);
+    }
+
+    /**
+     * 从指定位置向后或向前读取一个字符（码点），跳过归一化会移除的不可见字符
+     * @param {string} text - 原文
+     * @param {number} index - 起始位置
+     * @param {number} direction - 1 向后读取，-1 向前读取
+     * @returns {string} 读取到的字符，到达文本边界时为空字符串
+     */
+    readChar(text, index, direction) {
+        let position = index;
+        while (direction > 0 ? position < text.length : position > 0) {
+            let char = direction > 0 ?
+                String.fromCodePoint(text.codePointAt(position)) : text[position - 1];
+            // 向前读取时遇到低位代理，需要连同高位代理一起取出
+            if (direction < 0 && position >= 2 && /[\uDC00-\uDFFF]/.test(char) && /[\uD800-\uDBFF]/.test(text[position - 2])) {
+                char = text.slice(position - 2, position);
+            }
+
+            position += direction * char.length;
+            if (!(this.normalizer.options.invisible && TextNormalizer.INVISIBLE_CHARS.test(char))) {
+                return char;
+            }
+        }
+        return '';
+    }
+
+    static isWordChar(char) {
+        return Boolean(char) && KeywordMatcher.WORD_CHAR.test(char) && !KeywordMatcher.UNSPACED_SCRIPT_CHAR.test(char);
+    }
+
+    /**
+     * 在去除分隔符的文本上查找被拆开书写的普通关键词
+     * @param {string} text - 原文
+     * @param {Object} folded - 归一化并转为小写的文本
+     * @param {Array} existingMatches - 已找到的匹配，位置相同的不再重复返回
+     * @returns {Array} 匹配结果
+     */
+    findSeparatedMatches(text, folded, existingMatches) {
+        const existing = new Set(existingMatches.map(match => `${match.order}:${match.start}:${match.end}`));
+        const compact = TextNormalizer.removeSeparators(folded);
+
+        return this.compactAutomaton.search(compact.text)
+            .map(match => {
+                const entry = this.literalEntries[match.patternIndex];
+                return this.createMatch(entry, text, compact, match.start, match.end, { separated: true });
+            })
+            .filter(match => !existing.has(`${match.order}:${match.start}:${match.end}`));
+    }
+
+    /**
+     * 将归一化文本上的匹配映射回原文，并标记匹配绕过了哪些规避手段
+     * evasion 取值：separator（关键词被分隔符拆开）、normalization（依赖归一化才能识别）
+     * @param {Object} details - { separated: 是否为分隔符容错匹配, distance: 模糊匹配的编辑距离 }
+     */
+    createMatch(entry, text, normalized, start, end, details = {}) {
+        const separated = Boolean(details.separated);
+        const range = TextNormalizer.mapRange(normalized, start, end);
+        const matchedText = text.slice(range.start, range.end);
+        const evasion = [];
+
+        if (entry.type === 'literal') {
+            const plainText = separated ?
+                TextNormalizer.stripSeparators(matchedText.toLowerCase()) : matchedText.toLowerCase();
+            if (separated && plainText !== matchedText.toLowerCase()) {
+                evasion.push('separator');
+            }
+            if (plainText !== (separated ? entry.compactNeedle : entry.needle)) {
+                evasion.push('normalization');
+            }
+        }
+
+        return {
+            entry: entry,
+            keyword: entry.keyword,
+            order: entry.order,
+            category: entry.category,
+            severity: entry.severity,
+            start: range.start,
+            end: range.end,
+            text: matchedText,
+            distance: details.distance || 0,
+            evasion: evasion
+        };
+    }
+
+    /**
+     * 按关键词归并匹配结果
+     * @param {Array} matches - findMatches() 的返回值
+     * @returns {Array} 按关键词列表顺序排列的 { keyword, category, severity, matches,
+     *                  matchedText: 首次命中的原文, distance: 最小编辑距离, evasion }
+     */
+    groupByKeyword(matches) {
+        const groups = new Map();
+
+        matches.forEach(match => {
+            if (!groups.has(match.order)) {
+                groups.set(match.order, {
+                    keyword: match.keyword,
+                    category: match.category,
+                    severity: match.severity,
+                    matches: [],
+                    matchedText: match.text,
+                    distance: match.distance,
+                    evasion: []
+                });
+            }
+
+            const group = groups.get(match.order);
+            group.matches.push(match);
+            group.distance = Math.min(group.distance, match.distance);
+            match.evasion.forEach(kind => {
+                if (!group.evasion.includes(kind)) {
+                    group.evasion.push(kind);
+                }
+            });
+        });
+
+        return Array.from(groups.keys())
+            .sort((a, b) => a - b)
+            .map(order => groups.get(order));
+    }
+
+    /**
+     * 查找文本中的匹配并按关键词归并
+     * @param {string} text - 待检测文本
+     * @param {Object} options - 同 findMatches()
+     * @returns {Array} 同 groupByKeyword()
+     */
+    findKeywordMatches(text, options = {}) {
+        return this.groupByKeyword(this.findMatches(text, options));
+    }
+
+    /**
+     * 获取文本中命中的关键词（去重，按关键词列表顺序）
+     * @param {string} text - 待检测文本
+     * @param {Object} options - 同 findMatches()
+     * @returns {string[]} 命中的关键词
+     */
+    getMatchedKeywords(text, options = {}) {
+        return this.findKeywordMatches(text, options).map(group => group.keyword);
+    }
+}
+
+// 模糊匹配允许的最大编辑距离，距离过大时几乎任意文本都会命中
+KeywordMatcher.MAX_FUZZY_DISTANCE = 3;
+
+// 关键词的检测范围：全部、仅页面文本、仅属性值
+KeywordMatcher.SCOPES = ['all', 'text', 'attribute'];
+
+// 严重程度，按从高到低排列：阻断、警告、提示
+KeywordMatcher.SEVERITIES = ['block', 'warn', 'info'];
+KeywordMatcher.DEFAULT_SEVERITY = 'warn';
+
+// 词字符：字母、数字、组合符号和下划线
+KeywordMatcher.WORD_CHAR = /^[\p{L}\p{N}\p{M}_]/u;
+
+// 不以空格分词的文字，整词匹配时视为天然的词边界
+KeywordMatcher.UNSPACED_SCRIPT_CHAR = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeywordMatcher;
+} else {
+    self.KeywordMatcher = KeywordMatcher;
+}
@@ -0,0 +1,172 @@
+/**
+ * 匹配 Worker 客户端 - 在专用 Worker 中执行关键词匹配，避免正则和模糊匹配占用页面主线程
+ *
+ * 内容脚本无法直接用扩展地址创建 Worker，这里向后台获取拼接好的匹配器脚本，以 Blob 创建。
+ * 页面的内容安全策略禁止 Blob Worker 或 Worker 启动失败时，isAvailable() 返回 false，
+ * 调用方应退回主线程匹配。
+ */
+class MatchWorkerClient {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 5000;
+        this.worker = null;
+        this.blobUrl = null;
+        this.starting = null;
+        this.config = null;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * 启动 Worker，多次调用只启动一次
+     * @returns {Promise<boolean>} Worker 是否可用
+     */
+    start() {
+        if (!this.starting) {
+            this.starting = this.createWorker().catch(error => {
+                console.warn('⚠️ 匹配 Worker 不可用，改为在页面中匹配:', error.message);
+                this.terminate();
+                return false;
+            });
+        }
+        return this.starting;
+    }
+
+    async createWorker() {
+        if (typeof Worker === 'undefined' || typeof chrome === 'undefined' || !chrome.runtime) {
+            throw new Error('当前环境不支持 Worker');
+        }
+
+        const response = await chrome.runtime.sendMessage({ action: 'getMatchWorkerSource' });
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || '无法加载匹配 Worker 脚本');
+        }
+        this.blobUrl = URL.createObjectURL(new Blob([response.source], { type: 'text/javascript' }));
+
+        // 内容安全策略禁止 Blob Worker 时，浏览器可能在构造时抛出异常，也可能随后触发 error
+        // 或 securitypolicyviolation 事件；这些情况都立即放弃，不等握手超时
+        const handleViolation = event => {
+            if (/^blob:?/.test(event.blockedURI)) {
+                this.fail(new Error('页面的内容安全策略禁止 Blob Worker'));
+            }
+        };
+        document.addEventListener('securitypolicyviolation', handleViolation);
+
+        try {
+            this.worker = new Worker(this.blobUrl);
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => {
+                event.preventDefault();
+                this.fail(new Error(event.message || 'Worker 运行出错'));
+            };
+
+            // 通过握手确认 Worker 已启动
+            await this.request('ping');
+        } finally {
+            document.removeEventListener('securitypolicyviolation', handleViolation);
+        }
+
+        if (this.config) {
+            await this.request('configure', this.config);
+        }
+        return true;
+    }
+
+    isAvailable() {
+        return Boolean(this.worker);
+    }
+
+    /**
+     * 同步匹配设置，Worker 尚未启动时在启动后发送
+     * @param {Object} config - { keywords, categories, normalization, separatorTolerant }
+     */
+    configure(config) {
+        this.config = config;
+        if (this.worker) {
+            this.request('configure', config).catch(error => this.fail(error));
+        }
+    }
+
+    /**
+     * 批量匹配
+     * @param {Array} requests - { text, options }，options 同 KeywordMatcher.findMatches()
+     * @returns {Promise<Array|null>} 与 requests 一一对应的匹配结果，Worker 不可用或出错时为 null
+     */
+    async findMatches(requests) {
+        if (!this.worker) return null;
+
+        try {
+            return await this.request('match', {
+                requests: requests.map(({ text, options }) => ({ text: text, options: options }))
+            });
+        } catch (error) {
+            this.fail(error);
+            return null;
+        }
+    }
+
+    request(type, payload = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error('Worker 响应超时'));
+            }, this.timeout);
+
+            this.pendingRequests.set(id, {
+                resolve: result => {
+                    clearTimeout(timer);
+                    resolve(result);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+            this.worker.postMessage({ id: id, type: type, payload: payload });
+        });
+    }
+
+    handleMessage(data) {
+        const pending = this.pendingRequests.get(data.id);
+        if (!pending) return;
+
+        this.pendingRequests.delete(data.id);
+        if (data.error) {
+            pending.reject(new Error(data.error));
+        } else {
+            pending.resolve(data.result);
+        }
+    }
+
+    /**
+     * Worker 出错后停止使用，之后的匹配退回主线程
+     */
+    fail(error) {
+        if (!this.worker) return;
+
+        console.warn('⚠️ 匹配 Worker 出错，改为在页面中匹配:', error.message);
+        this.terminate(error);
+    }
+
+    /**
+     * @param {Error} error - 未完成的请求以此失败，未提供时为"Worker 已停止"
+     */
+    terminate(error = null) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.blobUrl) {
+            URL.revokeObjectURL(this.blobUrl);
+            this.blobUrl = null;
+        }
+        this.pendingRequests.forEach(pending => pending.reject(error || new Error('Worker 已停止')));
+        this.pendingRequests.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchWorkerClient;
+} else {
+    window.MatchWorkerClient = MatchWorkerClient;
+}
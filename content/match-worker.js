@@ -0,0 +1,44 @@
+/**
+ * 匹配 Worker - 在独立线程中持有编译好的关键词匹配器，为内容脚本批量计算匹配位置
+ *
+ * 由后台的 MatchWorkerSource 将 aho-corasick.js、text-normalizer.js、fuzzy-search.js、
+ * keyword-matcher.js 和本文件拼接后创建，匹配器类通过 self 导出，在页面和 Worker 中通用。
+ *
+ * 消息格式 { id, type, payload }：
+ * - ping: 握手，确认 Worker 已启动
+ * - configure: 同步匹配设置 { keywords, categories, normalization, separatorTolerant }
+ * - match: 批量匹配 { requests: [{ text, options }] }，按顺序返回每段文本的匹配结果
+ */
+let matcher = new KeywordMatcher();
+
+self.onmessage = event => {
+    const { id, type, payload } = event.data;
+
+    try {
+        let result = null;
+        switch (type) {
+            case 'ping':
+                result = true;
+                break;
+
+            case 'configure':
+                matcher = new KeywordMatcher();
+                matcher.setCategories(payload.categories || []);
+                matcher.setNormalizationOptions(payload.normalization || {});
+                matcher.setSeparatorTolerant(payload.separatorTolerant);
+                result = matcher.compile(payload.keywords || []);
+                break;
+
+            case 'match':
+                result = payload.requests.map(({ text, options }) => matcher.findMatches(text, options));
+                break;
+
+            default:
+                throw new Error(`未知的消息类型: ${type}`);
+        }
+
+        self.postMessage({ id: id, result: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message });
+    }
+};
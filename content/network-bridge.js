@@ -0,0 +1,52 @@
+/**
+ * 网络请求拦截器配对 - 在 document_start 把一次性口令交给页面主环境中的 NetworkInterceptor
+ *
+ * NetworkMonitor 握手时附带口令，拦截器只接受口令一致的握手，页面脚本无法冒充内容脚本接管拦截器。
+ * 本文件与拦截器都在页面脚本运行前注入，两者的注入顺序不确定，因此双方各自发出事件：
+ * - 拦截器加载后发出 READY 事件；本文件加载时和收到 READY 时发出带口令的 NONCE 事件
+ * - 拦截器收到口令后发出 ACCEPTED 事件，本文件随即移除监听器，之后页面脚本无法再取得口令
+ */
+class NetworkBridge {
+    constructor() {
+        this.nonce = NetworkBridge.createNonce();
+        this.isPaired = false;
+        this.handleReady = () => this.sendNonce();
+        this.handleAccepted = () => this.pair();
+    }
+
+    listen() {
+        document.addEventListener(NetworkBridge.READY_EVENT, this.handleReady);
+        document.addEventListener(NetworkBridge.ACCEPTED_EVENT, this.handleAccepted);
+        this.sendNonce();
+    }
+
+    sendNonce() {
+        if (this.isPaired) return;
+        document.dispatchEvent(new CustomEvent(NetworkBridge.NONCE_EVENT, { detail: this.nonce }));
+    }
+
+    pair() {
+        this.isPaired = true;
+        document.removeEventListener(NetworkBridge.READY_EVENT, this.handleReady);
+        document.removeEventListener(NetworkBridge.ACCEPTED_EVENT, this.handleAccepted);
+    }
+
+    static createNonce() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// 与 NetworkInterceptor 中的事件名一致
+NetworkBridge.READY_EVENT = 'keyword-detector:network-ready';
+NetworkBridge.NONCE_EVENT = 'keyword-detector:network-nonce';
+NetworkBridge.ACCEPTED_EVENT = 'keyword-detector:network-accepted';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetworkBridge;
+} else {
+    window.NetworkBridge = NetworkBridge;
+    // 同一框架中 document_idle 注入的内容脚本与本文件共用隔离环境，NetworkMonitor 从这里读取口令
+    NetworkBridge.instance = new NetworkBridge();
+    NetworkBridge.instance.listen();
+}
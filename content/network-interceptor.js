@@ -0,0 +1,588 @@
+/**
+ * 网络请求拦截器 - 在页面主环境（MAIN world）中拦截页面发出的网络请求
+ *
+ * 内容脚本运行在隔离环境中，替换那里的 window.fetch 拦截不到页面自己的请求，
+ * 因此本文件在 document_start 注入页面主环境，先于页面脚本安装拦截。拦截的接口包括：
+ * - fetch、XMLHttpRequest、navigator.sendBeacon：请求地址、请求体和响应
+ * - WebSocket：连接地址、发送和收到的文本帧；EventSource：连接地址和收到的消息
+ * - Worker、SharedWorker 的脚本地址，以及动态设置的 <script>、<img> src
+ *
+ * 拦截器只收集请求地址、请求头、状态码、耗时、内容类型、请求体和响应文本（二进制和超过大小上限的内容不读取），
+ * 同一请求的请求、响应和消息记录带有相同的 requestId，
+ * 通过内容脚本建立的 MessageChannel 交给 NetworkMonitor 检测，关键词和检测结果始终留在隔离环境中：
+ * - 页面脚本运行前，network-bridge.js 从隔离环境交来一次性口令，拦截器只接受第一个口令
+ * - 内容脚本通过 window.postMessage 发送附带口令的握手消息并转移一个 MessagePort，
+ *   拦截器在页面脚本之前注册捕获阶段的监听器，收到握手后阻止消息继续传给页面脚本，口令不一致的握手被忽略
+ * - 页面加载期间内容脚本尚未连接，这期间的请求先缓存（有数量上限），收到 start 后补发；
+ *   收到 stop 后丢弃缓存并恢复所有被替换的属性
+ *
+ * 拦截器包在函数作用域中，不在 window 上暴露任何对象。
+ */
+(() => {
+    class NetworkInterceptor {
+        constructor() {
+            this.port = null;
+            this.nonce = null;
+            this.isInstalled = false;
+            this.isReporting = false;
+            this.pendingEvents = [];
+            // XMLHttpRequest 的请求信息和 WebSocket 的请求记录，不写到对象上，避免页面脚本看到
+            this.requestInfo = new WeakMap();
+            this.nextRequestId = 1;
+            // 被替换的属性及其原始描述符，恢复时按相反顺序写回
+            this.patches = [];
+            // 超过上限的请求体和响应不读取内容，开始检测时由内容脚本设置
+            this.maxBodySize = NetworkInterceptor.DEFAULT_MAX_BODY_SIZE;
+        }
+
+        listen() {
+            const handleNonce = event => {
+                if (typeof event.detail !== 'string' || !event.detail) return;
+
+                document.removeEventListener(NetworkInterceptor.NONCE_EVENT, handleNonce);
+                this.nonce = event.detail;
+                document.dispatchEvent(new CustomEvent(NetworkInterceptor.ACCEPTED_EVENT));
+            };
+            document.addEventListener(NetworkInterceptor.NONCE_EVENT, handleNonce);
+            document.dispatchEvent(new CustomEvent(NetworkInterceptor.READY_EVENT));
+
+            window.addEventListener('message', event => this.handleHandshake(event), true);
+            this.install();
+        }
+
+        /**
+         * 口令一致的握手替换之前的连接，内容脚本握手超时后重试时使用新的连接
+         */
+        handleHandshake(event) {
+            if (event.source !== window || !event.data || event.data.type !== NetworkInterceptor.HANDSHAKE) {
+                return;
+            }
+
+            event.stopImmediatePropagation();
+            if (!this.nonce || event.data.nonce !== this.nonce || !event.ports || !event.ports[0]) {
+                return;
+            }
+
+            if (this.port) {
+                this.port.close();
+            }
+            this.port = event.ports[0];
+            this.port.onmessage = message => this.handleCommand(message.data);
+            this.port.postMessage({ type: 'ready' });
+        }
+
+        handleCommand(command) {
+            switch (command && command.type) {
+                case 'start':
+                    this.maxBodySize = command.maxBodySize || this.maxBodySize;
+                    this.install();
+                    this.isReporting = true;
+                    this.pendingEvents.forEach(event => this.port.postMessage(event));
+                    this.pendingEvents = [];
+                    break;
+
+                case 'configure':
+                    this.maxBodySize = command.maxBodySize || this.maxBodySize;
+                    break;
+
+                case 'stop':
+                    this.isReporting = false;
+                    this.pendingEvents = [];
+                    this.restore();
+                    break;
+            }
+        }
+
+        /**
+         * 创建请求记录
+         * @param {Array} headers - 请求头 { name, value }
+         */
+        createRequest(api, url, method, headers = []) {
+            return {
+                type: 'request',
+                requestId: this.nextRequestId++,
+                api: api,
+                url: url,
+                method: method,
+                startedAt: Date.now(),
+                requestHeaders: headers
+            };
+        }
+
+        /**
+         * 创建响应记录，time 为从发出请求到收到响应头的毫秒数
+         */
+        createResponse(request, status, statusText, headers) {
+            return {
+                type: 'response',
+                requestId: request.requestId,
+                api: request.api,
+                url: request.url,
+                method: request.method,
+                status: status,
+                statusText: statusText,
+                responseHeaders: headers,
+                time: Date.now() - request.startedAt
+            };
+        }
+
+        /**
+         * 发送请求记录，开始检测前先缓存，超过上限的记录丢弃
+         */
+        report(event) {
+            if (this.isReporting) {
+                this.port.postMessage(event);
+            } else if (this.isInstalled && this.pendingEvents.length < NetworkInterceptor.MAX_PENDING_EVENTS) {
+                this.pendingEvents.push(event);
+            }
+        }
+
+        install() {
+            if (this.isInstalled) return;
+
+            this.isInstalled = true;
+            this.interceptFetch();
+            this.interceptXHR();
+            this.interceptBeacon();
+            this.interceptWebSocket();
+            this.interceptEventSource();
+            this.interceptWorkers();
+            this.interceptResourceSrc();
+        }
+
+        restore() {
+            if (!this.isInstalled) return;
+
+            this.isInstalled = false;
+            this.patches.reverse().forEach(({ target, key, descriptor }) => {
+                Object.defineProperty(target, key, descriptor);
+            });
+            this.patches = [];
+        }
+
+        /**
+         * 替换对象上的属性，保存原始描述符以便恢复；对象上没有该属性（浏览器不支持的接口）时跳过
+         * @param {Object} target - 属性所在的对象，方法通常在原型上
+         * @param {string} key - 属性名
+         * @param {Function} createReplacement - 接收原始描述符，返回要覆盖的描述符字段（value 或 get/set）
+         */
+        patch(target, key, createReplacement) {
+            const descriptor = target && Object.getOwnPropertyDescriptor(target, key);
+            if (!descriptor) return;
+
+            this.patches.push({ target: target, key: key, descriptor: descriptor });
+            Object.defineProperty(target, key, { ...descriptor, ...createReplacement(descriptor) });
+        }
+
+        patchMethod(target, key, wrap) {
+            this.patch(target, key, descriptor => ({ value: wrap(descriptor.value) }));
+        }
+
+        /**
+         * 用 Proxy 替换构造函数，静态常量、prototype 和 instanceof 保持不变
+         * @param {string} key - window 上的构造函数名
+         * @param {Function} onConstruct - 创建实例后调用，参数为实例和构造参数
+         */
+        patchConstructor(key, onConstruct) {
+            this.patch(window, key, descriptor => ({
+                value: new Proxy(descriptor.value, {
+                    construct: (target, args, newTarget) => {
+                        const instance = Reflect.construct(target, args, newTarget);
+                        if (this.isInstalled) {
+                            onConstruct(instance, args);
+                        }
+                        return instance;
+                    }
+                })
+            }));
+        }
+
+        interceptFetch() {
+            const self = this;
+
+            this.patchMethod(window, 'fetch', originalFetch => function(input, init) {
+                // 页面脚本可能在恢复前保存了替换后的 fetch，恢复后直接调用原始方法
+                if (!self.isInstalled) {
+                    return originalFetch.apply(this, arguments);
+                }
+
+                // 参数无效时原始 fetch 返回被拒绝的 Promise，记录请求出错时不能改为同步抛出异常
+                let info = null;
+                try {
+                    const request = input instanceof Request ? input : null;
+                    const url = NetworkInterceptor.resolveUrl(request ? request.url : String(input));
+                    const method = ((init && init.method) || (request ? request.method : 'GET')).toUpperCase();
+                    const headers = new Headers((init && init.headers) || (request ? request.headers : undefined));
+                    info = self.createRequest('fetch', url, method, NetworkInterceptor.toHeaderList(headers));
+
+                    self.report({ ...info, ...self.readRequestBody(init && init.body, headers.get('content-type')) });
+                } catch (error) {
+                    info = null;
+                }
+
+                const pending = originalFetch.apply(this, arguments);
+                if (!info) {
+                    return pending;
+                }
+                pending.then(response => {
+                    const result = self.createResponse(info, response.status, response.statusText,
+                        NetworkInterceptor.toHeaderList(response.headers));
+
+                    // 跨域的 no-cors 响应读不到状态和内容
+                    if (response.type === 'opaque') {
+                        self.report({ ...result, contentType: null, body: null });
+                        return;
+                    }
+                    self.readFetchResponse(response)
+                        .then(body => self.report({ ...result, ...body }))
+                        .catch(() => self.report({ ...result, contentType: response.headers.get('content-type'), body: null }));
+                }, error => {
+                    self.report({
+                        ...self.createResponse(info, 0, '', []),
+                        error: String((error && error.message) || error),
+                        contentType: null,
+                        body: null
+                    });
+                });
+                return pending;
+            });
+        }
+
+        /**
+         * 读取 fetch 响应的副本，二进制类型、text/event-stream 和超过大小上限的响应不读取内容。
+         * 未声明 content-length 的响应逐块读取，超过上限时立即取消，不会把整个响应缓存在内存中；
+         * 不读取的响应不创建副本，避免未读取的副本缓存页面收到的数据
+         */
+        async readFetchResponse(response) {
+            const contentType = response.headers.get('content-type');
+            if (!NetworkInterceptor.isTextType(contentType)) {
+                return { contentType: contentType, body: null, skipped: 'binary' };
+            }
+            if (NetworkInterceptor.isStreamType(contentType)) {
+                return { contentType: contentType, body: null, skipped: 'stream' };
+            }
+            if (Number(response.headers.get('content-length')) > this.maxBodySize) {
+                return { contentType: contentType, body: null, skipped: 'size' };
+            }
+
+            const copy = response.clone();
+            if (!copy.body) {
+                return this.limitBody(await copy.text(), contentType);
+            }
+
+            const reader = copy.body.getReader();
+            const decoder = new TextDecoder();
+            let text = '';
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                text += decoder.decode(value, { stream: true });
+                if (text.length > this.maxBodySize) {
+                    reader.cancel().catch(() => {});
+                    return { contentType: contentType, body: null, skipped: 'size' };
+                }
+            }
+            return this.limitBody(text + decoder.decode(), contentType);
+        }
+
+        interceptXHR() {
+            const self = this;
+            const prototype = XMLHttpRequest.prototype;
+
+            this.patchMethod(prototype, 'open', originalOpen => function(method, url) {
+                if (self.isInstalled) {
+                    self.requestInfo.set(this, {
+                        url: NetworkInterceptor.resolveUrl(String(url)),
+                        method: String(method).toUpperCase(),
+                        contentType: null,
+                        headers: []
+                    });
+                }
+                return originalOpen.apply(this, arguments);
+            });
+
+            this.patchMethod(prototype, 'setRequestHeader', originalSetRequestHeader => function(name, value) {
+                const info = self.isInstalled ? self.requestInfo.get(this) : null;
+                if (info) {
+                    info.headers.push({ name: String(name), value: String(value) });
+                    if (String(name).toLowerCase() === 'content-type') {
+                        info.contentType = String(value);
+                    }
+                }
+                return originalSetRequestHeader.apply(this, arguments);
+            });
+
+            this.patchMethod(prototype, 'send', originalSend => function(data) {
+                const info = self.isInstalled ? self.requestInfo.get(this) : null;
+                if (info) {
+                    const request = self.createRequest('xhr', info.url, info.method, info.headers);
+                    self.report({ ...request, ...self.readRequestBody(data, info.contentType) });
+
+                    // 请求失败、超时或中止时状态码为 0
+                    this.addEventListener('loadend', function() {
+                        self.report({
+                            ...self.createResponse(request, this.status, this.statusText,
+                                NetworkInterceptor.parseHeaders(this.getAllResponseHeaders())),
+                            ...self.readXHRResponse(this)
+                        });
+                    });
+                }
+                return originalSend.apply(this, arguments);
+            });
+        }
+
+        /**
+         * 统计脚本常用 sendBeacon 发送 JSON，页面卸载后请求仍会发出；
+         * Blob 形式的文本请求体异步读取后再发送记录
+         */
+        interceptBeacon() {
+            const self = this;
+
+            this.patchMethod(Navigator.prototype, 'sendBeacon', originalSendBeacon => function(url, data) {
+                if (self.isInstalled) {
+                    const info = self.createRequest('beacon', NetworkInterceptor.resolveUrl(String(url)), 'POST');
+
+                    if (data instanceof Blob && data.size > self.maxBodySize) {
+                        self.report({ ...info, contentType: data.type || null, body: null, skipped: 'size' });
+                    } else if (data instanceof Blob && NetworkInterceptor.isTextType(data.type)) {
+                        data.text()
+                            .then(text => self.report({ ...info, ...self.limitBody(text, data.type || 'text/plain') }))
+                            .catch(() => {
+                                // 忽略请求体读取错误
+                            });
+                    } else {
+                        self.report({ ...info, ...self.readRequestBody(data, null) });
+                    }
+                }
+                return originalSendBeacon.apply(this, arguments);
+            });
+        }
+
+        /**
+         * WebSocket 连接地址按请求记录，文本帧按消息记录，二进制帧不读取；
+         * 收到的帧通过拦截器自己注册的 message 监听器读取，不影响页面的 onmessage
+         */
+        interceptWebSocket() {
+            const self = this;
+            if (typeof WebSocket === 'undefined') return;
+
+            this.patchConstructor('WebSocket', socket => {
+                const request = this.createRequest('websocket', socket.url, 'GET');
+                this.requestInfo.set(socket, request);
+                this.report({ ...request, contentType: null, body: '' });
+                socket.addEventListener('message', event => {
+                    if (this.isInstalled && typeof event.data === 'string') {
+                        this.reportMessage(request, 'received', event.data);
+                    }
+                });
+            });
+
+            this.patchMethod(WebSocket.prototype, 'send', originalSend => function(data) {
+                const request = self.isInstalled ? self.requestInfo.get(this) : null;
+                if (request && typeof data === 'string') {
+                    self.reportMessage(request, 'sent', data);
+                }
+                return originalSend.apply(this, arguments);
+            });
+        }
+
+        /**
+         * EventSource 只读取默认的 message 事件，服务器用 event: 字段命名的事件不经过这里
+         */
+        interceptEventSource() {
+            if (typeof EventSource === 'undefined') return;
+
+            this.patchConstructor('EventSource', source => {
+                const request = this.createRequest('eventsource', source.url, 'GET');
+                this.report({ ...request, contentType: null, body: '' });
+                source.addEventListener('message', event => {
+                    if (this.isInstalled) {
+                        this.reportMessage(request, 'received', String(event.data));
+                    }
+                });
+            });
+        }
+
+        /**
+         * Worker 脚本中的请求不经过页面的 fetch，这里只检测脚本地址
+         */
+        interceptWorkers() {
+            ['Worker', 'SharedWorker'].forEach(key => {
+                if (typeof window[key] === 'undefined') return;
+
+                this.patchConstructor(key, (worker, args) => this.reportResource('worker', args[0]));
+            });
+        }
+
+        /**
+         * 页面脚本通过 src 属性或 setAttribute 动态加载的脚本和图片
+         */
+        interceptResourceSrc() {
+            const self = this;
+            const resourceApi = element => {
+                if (element instanceof HTMLScriptElement) return 'script';
+                if (element instanceof HTMLImageElement) return 'img';
+                return null;
+            };
+
+            [HTMLScriptElement.prototype, HTMLImageElement.prototype].forEach(prototype => {
+                this.patch(prototype, 'src', descriptor => ({
+                    set: function(value) {
+                        if (self.isInstalled) {
+                            self.reportResource(resourceApi(this), value);
+                        }
+                        return descriptor.set.call(this, value);
+                    }
+                }));
+            });
+
+            this.patchMethod(Element.prototype, 'setAttribute', originalSetAttribute => function(name, value) {
+                const api = self.isInstalled && String(name).toLowerCase() === 'src' ? resourceApi(this) : null;
+                if (api) {
+                    self.reportResource(api, value);
+                }
+                return originalSetAttribute.apply(this, arguments);
+            });
+        }
+
+        reportResource(api, url) {
+            this.report({
+                ...this.createRequest(api, NetworkInterceptor.resolveUrl(String(url)), 'GET'),
+                contentType: null,
+                body: ''
+            });
+        }
+
+        /**
+         * 发送 WebSocket 帧或 EventSource 消息的记录
+         * @param {Object} request - 连接的请求记录
+         * @param {string} direction - sent | received
+         */
+        reportMessage(request, direction, data) {
+            this.report({
+                type: 'message',
+                requestId: request.requestId,
+                api: request.api,
+                direction: direction,
+                url: request.url,
+                method: null,
+                timestamp: Date.now(),
+                ...this.limitBody(data, null)
+            });
+        }
+
+        readXHRResponse(xhr) {
+            const contentType = xhr.getResponseHeader('content-type');
+            if (!NetworkInterceptor.isTextType(contentType)) {
+                return { contentType: contentType, body: null, skipped: 'binary' };
+            }
+            if (xhr.responseType === '' || xhr.responseType === 'text') {
+                return this.limitBody(xhr.responseText, contentType);
+            }
+            if (xhr.responseType === 'json' && xhr.response !== null) {
+                return this.limitBody(JSON.stringify(xhr.response), contentType);
+            }
+            return { contentType: contentType, body: null, skipped: 'binary' };
+        }
+
+        /**
+         * 将请求体转为文本，FormData 等对象无法通过 MessagePort 传递；
+         * 未声明内容类型时按请求体的类型推断，与浏览器发送请求时的默认值一致
+         * @returns {Object} { contentType, body, skipped }，无法读取的请求体 body 为 null
+         */
+        readRequestBody(body, contentType) {
+            if (body === undefined || body === null) {
+                return { contentType: contentType, body: '' };
+            }
+            if (typeof body === 'string') {
+                return this.limitBody(body, contentType || 'text/plain');
+            }
+            if (body instanceof URLSearchParams) {
+                return this.limitBody(body.toString(), contentType || 'application/x-www-form-urlencoded');
+            }
+            if (body instanceof FormData) {
+                // 按表单编码传递，文件只保留文件名
+                const params = new URLSearchParams();
+                body.forEach((value, key) => params.append(key, typeof value === 'string' ? value : value.name));
+                return this.limitBody(params.toString(), 'application/x-www-form-urlencoded');
+            }
+            // Blob、ArrayBuffer、ReadableStream 等二进制请求体不读取
+            return { contentType: contentType || (body instanceof Blob ? body.type : null), body: null, skipped: 'binary' };
+        }
+
+        limitBody(text, contentType) {
+            if (text.length > this.maxBodySize) {
+                return { contentType: contentType, body: null, skipped: 'size' };
+            }
+            return { contentType: contentType, body: text };
+        }
+
+        /**
+         * 是否为可以按文本检测的内容类型，未声明类型时视为文本
+         */
+        static isTextType(contentType) {
+            const type = (contentType || '').split(';')[0].trim().toLowerCase();
+            return !type || NetworkInterceptor.TEXT_TYPE.test(type);
+        }
+
+        /**
+         * 是否为不会结束的流式响应，EventSource 的消息由 EventSource 拦截单独上报
+         */
+        static isStreamType(contentType) {
+            return (contentType || '').split(';')[0].trim().toLowerCase() === 'text/event-stream';
+        }
+
+        /**
+         * Headers 对象转为 { name, value } 数组，便于通过 MessagePort 传递
+         */
+        static toHeaderList(headers) {
+            const list = [];
+            headers.forEach((value, name) => list.push({ name: name, value: value }));
+            return list;
+        }
+
+        /**
+         * 解析 getAllResponseHeaders() 返回的响应头文本
+         */
+        static parseHeaders(text) {
+            return (text || '').split(/\r?\n/)
+                .filter(line => line.includes(':'))
+                .map(line => {
+                    const index = line.indexOf(':');
+                    return { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+                });
+        }
+
+        static resolveUrl(url) {
+            try {
+                return new URL(url, document.baseURI).href;
+            } catch (error) {
+                return url;
+            }
+        }
+    }
+
+    // 与 NetworkMonitor.HANDSHAKE 一致
+    NetworkInterceptor.HANDSHAKE = 'keyword-detector:network-bridge';
+
+    // 与 NetworkBridge 中的事件名一致
+    NetworkInterceptor.READY_EVENT = 'keyword-detector:network-ready';
+    NetworkInterceptor.NONCE_EVENT = 'keyword-detector:network-nonce';
+    NetworkInterceptor.ACCEPTED_EVENT = 'keyword-detector:network-accepted';
+
+    // 按文本读取的内容类型，其它类型视为二进制
+    NetworkInterceptor.TEXT_TYPE = /^text\/|[/+](json|xml)$|javascript|ecmascript|x-www-form-urlencoded/;
+
+    // 与 NetworkMonitor.DEFAULT_MAX_BODY_SIZE 一致
+    NetworkInterceptor.DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+    // 连接前最多缓存的请求记录数
+    NetworkInterceptor.MAX_PENDING_EVENTS = 200;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NetworkInterceptor;
+    } else {
+        new NetworkInterceptor().listen();
+    }
+})();
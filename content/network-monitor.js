@@ -1,189 +1,385 @@
 /**
- * 网络请求监控器 - 拦截和检测网络请求中的关键词
+ * 网络请求监控器 - 检测网络请求中的关键词
+ *
+ * 请求由注入页面主环境的 NetworkInterceptor（network-interceptor.js）拦截，
+ * 通过 MessageChannel 传回内容脚本，关键词匹配和例外规则都在隔离环境中完成。
+ *
+ * 请求体和响应按内容类型解码：JSON 解析后逐个检测字符串值并记录 jsonPath，HTML 只检测文本和地址属性，
+ * 表单编码的内容解码后按字段检测，二进制内容跳过。结果的 snippet 为以命中位置为中心的上下文。
+ *
+ * 监控期间同时保存请求日志（方法、地址、状态码、耗时、请求头和响应头、截断后的内容），
+ * 检测结果通过 requestId 关联到日志中的请求，可以导出为 HAR 1.2 文件交给开发人员排查。
  */
 class NetworkMonitor {
-    constructor(detector) {
+    constructor(detector, options = {}) {
         this.detector = detector;
+        this.connectTimeout = options.connectTimeout || 1000;
+        this.maxBodySize = options.maxBodySize || NetworkMonitor.DEFAULT_MAX_BODY_SIZE;
+        this.contextLength = options.contextLength || 60;
+        this.logBodyLength = options.logBodyLength || NetworkMonitor.DEFAULT_LOG_BODY_LENGTH;
         this.isMonitoring = false;
         this.requestResults = [];
-        this.originalFetch = null;
-        this.originalXHROpen = null;
+        this.suppressedResults = [];
+        this.requestLog = [];
+        this.logIndex = new Map();
+        this.port = null;
+        this.connecting = null;
     }
 
-    start() {
-        if (this.isMonitoring) return;
-        
+    /**
+     * 开始监控，拦截器在页面加载时已安装，会补发连接前缓存的请求
+     * @returns {Promise<boolean>} 是否已连接到拦截器
+     */
+    async start() {
+        if (this.isMonitoring) return true;
+
+        if (!await this.connect()) {
+            return false;
+        }
         this.isMonitoring = true;
-        this.interceptFetch();
-        this.interceptXHR();
+        this.port.postMessage({ type: 'start', maxBodySize: this.maxBodySize });
+        return true;
     }
 
-    stop() {
-        if (!this.isMonitoring) return;
-        
+    /**
+     * 设置检测的请求体和响应的大小上限，超过上限的内容不读取也不检测
+     * @param {number} size - 字符数，无效时使用默认值
+     */
+    setMaxBodySize(size) {
+        this.maxBodySize = size > 0 ? size : NetworkMonitor.DEFAULT_MAX_BODY_SIZE;
+        if (this.port) {
+            this.port.postMessage({ type: 'configure', maxBodySize: this.maxBodySize });
+        }
+    }
+
+    /**
+     * 停止监控，拦截器恢复页面中所有被替换的接口
+     */
+    async stop() {
+        if (!await this.connect()) return;
+
         this.isMonitoring = false;
-        this.restoreFetch();
-        this.restoreXHR();
+        this.port.postMessage({ type: 'stop' });
     }
 
     /**
-     * 拦截 fetch 请求
+     * 与页面主环境中的拦截器握手，握手附带 network-bridge.js 在页面加载时交给拦截器的口令；
+     * 握手成功后不再重复握手，失败时下次调用重新握手
+     * @returns {Promise<boolean>} 拦截器是否响应
      */
-    interceptFetch() {
-        const self = this;
-        this.originalFetch = window.fetch;
-        
-        window.fetch = function(input, init) {
-            const url = typeof input === 'string' ? input : input.url;
-            
-            // 检测请求URL
-            self.checkRequestUrl(url, 'fetch');
-            
-            // 检测请求体
-            if (init && init.body) {
-                self.checkRequestBody(init.body, url, 'fetch');
+    connect() {
+        if (!this.connecting) {
+            const bridge = typeof NetworkBridge !== 'undefined' ? NetworkBridge.instance : null;
+            if (!bridge || !bridge.isPaired) {
+                console.warn('⚠️ 网络请求拦截器未加载，无法监控网络请求');
+                return Promise.resolve(false);
             }
-            
-            // 调用原始fetch并检测响应
-            return self.originalFetch.apply(this, arguments)
-                .then(response => {
-                    self.checkResponse(response.clone(), url, 'fetch');
-                    return response;
-                })
-                .catch(error => {
-                    throw error;
-                });
-        };
+
+            this.connecting = new Promise(resolve => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => {
+                    console.warn('⚠️ 网络请求拦截器未响应，无法监控网络请求');
+                    channel.port1.close();
+                    this.connecting = null;
+                    resolve(false);
+                }, this.connectTimeout);
+
+                channel.port1.onmessage = event => {
+                    if (event.data && event.data.type === 'ready') {
+                        clearTimeout(timer);
+                        this.port = channel.port1;
+                        this.port.onmessage = message => this.handleMessage(message.data);
+                        resolve(true);
+                    }
+                };
+                window.postMessage({ type: NetworkMonitor.HANDSHAKE, nonce: bridge.nonce }, '*', [channel.port2]);
+            });
+        }
+        return this.connecting;
     }
 
     /**
-     * 拦截 XMLHttpRequest
+     * 处理拦截器发来的请求记录
+     * @param {Object} event - { type: request|response|message, requestId, api, direction, url, method, contentType, body, skipped }，
+     *                         api 为 fetch、xhr、beacon、websocket、eventsource、worker、script 或 img；
+     *                         请求记录另有 startedAt 和 requestHeaders，响应记录另有 status、statusText、responseHeaders、time 和 error；
+     *                         message 为 WebSocket 帧或 EventSource 消息，direction 为 sent 或 received；
+     *                         二进制、流式或超过大小上限的内容 body 为 null，skipped 为 binary、stream 或 size
      */
-    interceptXHR() {
-        const self = this;
-        this.originalXHROpen = XMLHttpRequest.prototype.open;
-        
-        XMLHttpRequest.prototype.open = function(method, url, async, user, password) {
-            this._url = url;
-            this._method = method;
-            
-            // 检测请求URL
-            self.checkRequestUrl(url, 'xhr');
-            
-            // 监听响应
-            this.addEventListener('load', function() {
-                if (this.responseText) {
-                    self.checkResponseText(this.responseText, url, 'xhr');
-                }
-            });
-            
-            return self.originalXHROpen.apply(this, arguments);
-        };
-        
-        // 拦截send方法检测请求体
-        const originalSend = XMLHttpRequest.prototype.send;
-        XMLHttpRequest.prototype.send = function(data) {
-            if (data) {
-                self.checkRequestBody(data, this._url, 'xhr');
+    handleMessage(event) {
+        if (!this.isMonitoring || !event) return;
+
+        this.logEvent(event);
+        if (event.type === 'request') {
+            this.checkRequestUrl(event);
+            this.checkBody(event, 'request_body');
+        } else if (event.type === 'response') {
+            this.checkBody(event, 'response');
+        } else if (event.type === 'message') {
+            this.checkBody(event, event.direction === 'sent' ? 'message_sent' : 'message_received');
+        }
+    }
+
+    /**
+     * 把拦截器的记录写入请求日志，同一 requestId 的请求、响应和消息合并为一条
+     */
+    logEvent(event) {
+        if (!event.requestId) return;
+
+        if (event.type === 'request') {
+            const entry = {
+                requestId: event.requestId,
+                api: event.api,
+                method: event.method,
+                url: event.url,
+                startedAt: new Date(event.startedAt || Date.now()).toISOString(),
+                status: null,
+                statusText: '',
+                time: null,
+                error: null,
+                requestHeaders: NetworkMonitor.redactHeaders(event.requestHeaders),
+                responseHeaders: [],
+                requestBody: this.createLogBody(event),
+                responseBody: null,
+                messages: []
+            };
+
+            this.requestLog.push(entry);
+            this.logIndex.set(entry.requestId, entry);
+            if (this.requestLog.length > NetworkMonitor.MAX_LOG_ENTRIES) {
+                this.logIndex.delete(this.requestLog.shift().requestId);
             }
-            return originalSend.apply(this, arguments);
+            return;
+        }
+
+        const entry = this.logIndex.get(event.requestId);
+        if (!entry) return;
+
+        if (event.type === 'response') {
+            entry.status = event.status;
+            entry.statusText = event.statusText || '';
+            entry.time = event.time;
+            entry.error = event.error || null;
+            entry.responseHeaders = NetworkMonitor.redactHeaders(event.responseHeaders);
+            entry.responseBody = this.createLogBody(event);
+        } else if (event.type === 'message' && entry.messages.length < NetworkMonitor.MAX_LOG_MESSAGES) {
+            entry.messages.push({
+                direction: event.direction,
+                timestamp: new Date(event.timestamp || Date.now()).toISOString(),
+                ...this.createLogBody(event)
+            });
+        }
+    }
+
+    /**
+     * 日志中的内容截断到 logBodyLength 个字符
+     * @returns {Object} { contentType, text, size, truncated, skipped }，未读取内容时 size 为 -1
+     */
+    createLogBody({ contentType, body, skipped }) {
+        const text = body || '';
+        return {
+            contentType: contentType || null,
+            text: text.slice(0, this.logBodyLength),
+            size: body === null || body === undefined ? -1 : text.length,
+            truncated: text.length > this.logBodyLength,
+            skipped: skipped || null
         };
     }
 
     /**
      * 检测请求URL中的关键词
      */
-    checkRequestUrl(url, type) {
+    checkRequestUrl({ requestId, url, api, method }) {
         if (!url || !this.detector.keywords) return;
         
-        this.detector.keywords.forEach(keyword => {
-            if (url.toLowerCase().includes(keyword.toLowerCase())) {
-                this.addNetworkResult({
-                    type: 'request_url',
-                    keyword: keyword,
-                    url: url,
-                    method: type,
-                    content: `请求URL: ${url}`,
-                    timestamp: new Date().toISOString()
-                });
-            }
+        this.detector.findUrlMatches(url, window.location.href).forEach(({ keyword, category, severity, matchedText, distance, suppressedBy, urlComponent, matchedUrl }) => {
+            this.addNetworkResult({
+                type: 'request_url',
+                keyword: keyword,
+                category: category,
+                severity: severity,
+                matchedText: matchedText,
+                distance: distance,
+                suppressedBy: suppressedBy,
+                urlComponent: urlComponent,
+                matchedUrl: matchedUrl,
+                requestId: requestId || null,
+                url: url,
+                api: api,
+                method: method,
+                content: `请求URL: ${url}`,
+                timestamp: new Date().toISOString()
+            });
         });
     }
 
     /**
-     * 检测请求体中的关键词
+     * 检测请求体或响应内容，按内容类型解码后逐段匹配
+     * @param {Object} event - 拦截器发来的请求记录 { url, api, method, direction, contentType, body }
+     * @param {string} type - request_body | response | message_sent | message_received
      */
-    checkRequestBody(body, url, type) {
-        if (!body || !this.detector.keywords) return;
-        
-        let bodyText = '';
-        if (typeof body === 'string') {
-            bodyText = body;
-        } else if (body instanceof FormData) {
-            // 处理FormData
-            for (let [key, value] of body.entries()) {
-                bodyText += `${key}=${value}&`;
-            }
-        } else if (body instanceof URLSearchParams) {
-            bodyText = body.toString();
-        } else {
-            try {
-                bodyText = JSON.stringify(body);
-            } catch (e) {
-                bodyText = body.toString();
+    checkBody(event, type) {
+        const { requestId, url, api, method, direction, contentType, body } = event;
+        if (!body || !this.detector.keywords || body.length > this.maxBodySize) return;
+
+        const label = NetworkMonitor.BODY_LABELS[type];
+        const format = NetworkMonitor.getBodyFormat(contentType, body);
+
+        this.findBodyMatches(body, format, url).forEach(({ group, text, jsonPath, field, attribute }) => {
+            const { keyword, category, severity, matchedText, distance, evasion, suppressedBy, urlComponent, matchedUrl } = group;
+            const location = jsonPath || field || attribute;
+            const snippet = NetworkMonitor.createSnippet(text, group, this.contextLength);
+
+            this.addNetworkResult({
+                type: type,
+                keyword: keyword,
+                category: category,
+                severity: severity,
+                matchedText: matchedText,
+                distance: distance,
+                evasion: evasion,
+                suppressedBy: suppressedBy,
+                urlComponent: urlComponent,
+                matchedUrl: matchedUrl,
+                requestId: requestId || null,
+                url: url,
+                api: api,
+                method: method,
+                direction: direction || null,
+                contentType: contentType || null,
+                bodyFormat: format,
+                jsonPath: jsonPath || null,
+                field: field || null,
+                attribute: attribute || null,
+                snippet: snippet,
+                content: `${label}${location ? ` ${location}` : ''}: ${snippet}`,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    /**
+     * 按格式查找内容中的匹配
+     * @param {string} body - 请求体或响应文本
+     * @param {string} format - getBodyFormat() 的返回值
+     * @param {string} url - 请求地址，用于解析 HTML 中的相对地址
+     * @returns {Array} { group, text, jsonPath, field, attribute }，text 为命中所在的字符串
+     */
+    findBodyMatches(body, format, url) {
+        switch (format) {
+            case 'json': {
+                const data = KeywordDetector.parseJson(body);
+                if (data !== undefined) {
+                    return this.detector.findJsonMatches(data, body)
+                        .map(({ jsonPath, value, ...group }) => ({ group: group, text: value, jsonPath: jsonPath }));
+                }
+                break;
             }
-        }
-        
-        this.detector.keywords.forEach(keyword => {
-            if (bodyText.toLowerCase().includes(keyword.toLowerCase())) {
-                this.addNetworkResult({
-                    type: 'request_body',
-                    keyword: keyword,
-                    url: url,
-                    method: type,
-                    content: `请求参数: ${bodyText.substring(0, 200)}${bodyText.length > 200 ? '...' : ''}`,
-                    timestamp: new Date().toISOString()
+
+            case 'html':
+                return this.findHtmlMatches(body, url);
+
+            case 'form': {
+                const matches = [];
+                new URLSearchParams(body).forEach((value, key) => {
+                    this.detector.findKeywordMatches(value, { scope: 'text' })
+                        .forEach(group => matches.push({ group: group, text: value, field: key }));
                 });
+                return matches;
             }
+
+            case 'binary':
+                return [];
+        }
+
+        return this.detector.findKeywordMatches(body, { scope: 'text' }).map(group => ({ group: group, text: body }));
+    }
+
+    /**
+     * 只检测 HTML 中的文本和地址属性，跳过标签、脚本和样式
+     */
+    findHtmlMatches(html, url) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const matches = [];
+
+        const walker = doc.createTreeWalker(doc, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            const parent = node.parentElement;
+            if (parent && NetworkMonitor.SKIPPED_HTML_TAGS.includes(parent.tagName)) continue;
+
+            const text = node.textContent;
+            if (!text.trim()) continue;
+            this.detector.findKeywordMatches(text, { scope: 'text' })
+                .forEach(group => matches.push({ group: group, text: text }));
+        }
+
+        doc.querySelectorAll('*').forEach(element => {
+            Array.from(element.attributes).forEach(attr => {
+                if (!attr.value || !UrlAnalyzer.isUrlAttribute(attr.name)) return;
+
+                this.detector.findUrlMatches(attr.value, url, attr.name)
+                    .forEach(group => matches.push({ group: group, text: attr.value, attribute: attr.name }));
+            });
         });
+
+        return matches;
     }
 
     /**
-     * 检测响应内容
+     * 判断内容格式，未声明内容类型时按内容推断
+     * @returns {string} json | html | form | text | binary
      */
-    async checkResponse(response, url, type) {
-        try {
-            const text = await response.text();
-            this.checkResponseText(text, url, type);
-        } catch (error) {
-            // 忽略响应读取错误
+    static getBodyFormat(contentType, body) {
+        const type = (contentType || '').split(';')[0].trim().toLowerCase();
+        if (type) {
+            if (type === 'application/json' || /[/+]json$/.test(type)) return 'json';
+            if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+            if (type === 'application/x-www-form-urlencoded') return 'form';
+            if (type.startsWith('text/') || /javascript|ecmascript|[/+]xml$/.test(type)) return 'text';
+            return 'binary';
         }
+
+        const start = body.trimStart().charAt(0);
+        if (start === '{' || start === '[') return 'json';
+        if (start === '<') return 'html';
+        return 'text';
     }
 
     /**
-     * 检测响应文本中的关键词
+     * 截取以命中位置为中心的上下文
+     * @param {string} text - 命中所在的字符串
+     * @param {Object} group - 匹配分组，地址匹配的位置属于地址组成部分，按命中文本重新定位
+     * @param {number} contextLength - 命中前后保留的字符数
+     * @returns {string}
      */
-    checkResponseText(text, url, type) {
-        if (!text || !this.detector.keywords) return;
-        
-        this.detector.keywords.forEach(keyword => {
-            if (text.toLowerCase().includes(keyword.toLowerCase())) {
-                this.addNetworkResult({
-                    type: 'response',
-                    keyword: keyword,
-                    url: url,
-                    method: type,
-                    content: `响应内容: ${text.substring(0, 200)}${text.length > 200 ? '...' : ''}`,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+    static createSnippet(text, group, contextLength) {
+        let start = group.urlComponent ? -1 : group.matches[0].start;
+        let end = group.urlComponent ? -1 : group.matches[0].end;
+        if (start < 0 || text.slice(start, end) !== group.matchedText) {
+            start = Math.max(text.toLowerCase().indexOf(group.matchedText.toLowerCase()), 0);
+            end = start + group.matchedText.length;
+        }
+
+        const from = Math.max(start - contextLength, 0);
+        const to = Math.min(end + contextLength, text.length);
+        const snippet = text.slice(from, to).replace(/\s+/g, ' ').trim();
+        return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
     }
 
     /**
      * 添加网络检测结果
      */
     addNetworkResult(result) {
+        // 与页面检测共用例外规则，地址规则按请求地址判断
+        const rule = result.suppressedBy || this.detector.exceptions.findResultRule(result);
+        if (rule) {
+            result.suppressedBy = ExceptionRules.formatRule(rule);
+            this.suppressedResults.push(result);
+            return;
+        }
+        delete result.suppressedBy;
+
         this.requestResults.push(result);
         
         // 输出到控制台
@@ -198,31 +394,234 @@ class NetworkMonitor {
     }
 
     /**
-     * 清除检测结果
+     * 获取请求日志，按发出请求的顺序排列，最多保留 MAX_LOG_ENTRIES 条
+     */
+    getRequestLog() {
+        return this.requestLog;
+    }
+
+    /**
+     * 导出 HAR 1.2 格式的请求日志，每条记录的 _keywordFindings 为该请求的检测结果，comment 为命中的关键词
+     * @returns {Object} 可直接用 JSON.stringify 保存为 .har 文件
+     */
+    exportHar() {
+        const findings = new Map();
+        this.requestResults.forEach(result => {
+            if (!result.requestId) return;
+            if (!findings.has(result.requestId)) {
+                findings.set(result.requestId, []);
+            }
+            findings.get(result.requestId).push(result);
+        });
+
+        return {
+            log: {
+                version: '1.2',
+                creator: NetworkMonitor.getCreator(),
+                pages: [{
+                    startedDateTime: new Date(performance.timeOrigin || Date.now()).toISOString(),
+                    id: NetworkMonitor.HAR_PAGE_ID,
+                    title: window.location.href,
+                    pageTimings: { onContentLoad: -1, onLoad: -1 }
+                }],
+                entries: this.requestLog.map(entry => this.createHarEntry(entry, findings.get(entry.requestId) || []))
+            }
+        };
+    }
+
+    /**
+     * 日志记录转为 HAR 条目，WebSocket 帧按浏览器开发者工具的格式写入 _webSocketMessages
+     */
+    createHarEntry(entry, results) {
+        const time = Math.max(entry.time || 0, 0);
+        const har = {
+            pageref: NetworkMonitor.HAR_PAGE_ID,
+            startedDateTime: entry.startedAt,
+            time: time,
+            request: {
+                method: entry.method || 'GET',
+                url: entry.url,
+                httpVersion: '',
+                cookies: [],
+                headers: entry.requestHeaders,
+                queryString: NetworkMonitor.getQueryString(entry.url),
+                headersSize: -1,
+                bodySize: entry.requestBody.size
+            },
+            response: {
+                status: entry.status || 0,
+                statusText: entry.statusText,
+                httpVersion: '',
+                cookies: [],
+                headers: entry.responseHeaders,
+                content: NetworkMonitor.createHarContent(entry.responseBody),
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: entry.responseBody ? entry.responseBody.size : -1
+            },
+            cache: {},
+            timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: time, receive: 0, ssl: -1 },
+            _resourceType: NetworkMonitor.HAR_RESOURCE_TYPES[entry.api] || 'other',
+            _keywordFindings: results.map(result => NetworkMonitor.createHarFinding(result))
+        };
+
+        if (entry.requestBody.text || entry.requestBody.skipped) {
+            har.request.postData = {
+                mimeType: entry.requestBody.contentType || '',
+                text: entry.requestBody.text,
+                ...NetworkMonitor.describeLogBody(entry.requestBody)
+            };
+        }
+        if (entry.error) {
+            har.response._error = entry.error;
+        }
+        if (entry.api === 'websocket') {
+            har._webSocketMessages = entry.messages.map(message => ({
+                type: message.direction === 'sent' ? 'send' : 'receive',
+                time: Date.parse(message.timestamp) / 1000,
+                opcode: 1,
+                data: message.text
+            }));
+        } else if (entry.messages.length > 0) {
+            har._eventSourceMessages = entry.messages.map(message => ({
+                time: Date.parse(message.timestamp) / 1000,
+                eventName: 'message',
+                data: message.text
+            }));
+        }
+        if (results.length > 0) {
+            const keywords = Array.from(new Set(results.map(result => result.keyword)));
+            har.comment = `检测到关键词：${keywords.join('、')}`;
+        }
+
+        return har;
+    }
+
+    /**
+     * 清除检测结果和请求日志
      */
     clearResults() {
         this.requestResults = [];
+        this.suppressedResults = [];
+        this.requestLog = [];
+        this.logIndex.clear();
     }
 
     /**
-     * 恢复原始fetch
+     * Cookie 和 Authorization 等凭据类头部不写入日志，导出的文件可能会被转交他人
      */
-    restoreFetch() {
-        if (this.originalFetch) {
-            window.fetch = this.originalFetch;
+    static redactHeaders(headers) {
+        return (headers || []).map(({ name, value }) => ({
+            name: name,
+            value: NetworkMonitor.REDACTED_HEADERS.includes(name.toLowerCase()) ? NetworkMonitor.REDACTED_VALUE : value
+        }));
+    }
+
+    static createHarContent(body) {
+        if (!body) {
+            return { size: 0, mimeType: '' };
         }
+
+        const content = { size: Math.max(body.size, 0), mimeType: body.contentType || '' };
+        if (body.text) {
+            content.text = body.text;
+        }
+        return { ...content, ...NetworkMonitor.describeLogBody(body) };
     }
 
     /**
-     * 恢复原始XMLHttpRequest
+     * 说明未读取或截断的内容，写入 HAR 的 comment 字段
      */
-    restoreXHR() {
-        if (this.originalXHROpen) {
-            XMLHttpRequest.prototype.open = this.originalXHROpen;
+    static describeLogBody(body) {
+        if (body.skipped) {
+            return { comment: NetworkMonitor.SKIPPED_LABELS[body.skipped] || '内容未读取' };
+        }
+        if (body.truncated) {
+            return { comment: `内容已截断，原始长度 ${body.size} 个字符` };
+        }
+        return {};
+    }
+
+    static createHarFinding(result) {
+        return {
+            type: result.type,
+            keyword: result.keyword,
+            category: result.category || null,
+            severity: result.severity || null,
+            matchedText: result.matchedText,
+            location: result.jsonPath || result.field || result.attribute || result.urlComponent || null,
+            direction: result.direction || null,
+            snippet: result.snippet || null,
+            content: result.content,
+            timestamp: result.timestamp
+        };
+    }
+
+    static getQueryString(url) {
+        try {
+            return Array.from(new URL(url).searchParams, ([name, value]) => ({ name: name, value: value }));
+        } catch (error) {
+            return [];
         }
     }
+
+    static getCreator() {
+        const manifest = typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getManifest ?
+            chrome.runtime.getManifest() : {};
+        return { name: manifest.name || 'keyword-detector', version: manifest.version || '' };
+    }
 }
 
+// 请求体和响应的默认大小上限，与 network-interceptor.js 一致
+NetworkMonitor.DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// 请求日志中每条内容保留的字符数
+NetworkMonitor.DEFAULT_LOG_BODY_LENGTH = 16 * 1024;
+
+// 请求日志最多保留的请求数，超过时丢弃最早的记录
+NetworkMonitor.MAX_LOG_ENTRIES = 500;
+
+// 每个 WebSocket 或 EventSource 连接最多记录的消息数
+NetworkMonitor.MAX_LOG_MESSAGES = 200;
+
+// 与 request-auditor.js 一致，这些头部的值在日志中隐藏
+NetworkMonitor.REDACTED_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+NetworkMonitor.REDACTED_VALUE = '[已隐藏]';
+
+NetworkMonitor.SKIPPED_LABELS = {
+    binary: '二进制内容未读取',
+    size: '内容超过大小上限，未读取',
+    stream: '流式响应（text/event-stream）未读取'
+};
+
+NetworkMonitor.HAR_PAGE_ID = 'page_1';
+
+// 拦截的接口对应的 HAR _resourceType，与浏览器开发者工具导出的取值一致
+NetworkMonitor.HAR_RESOURCE_TYPES = {
+    fetch: 'fetch',
+    xhr: 'xhr',
+    beacon: 'ping',
+    websocket: 'websocket',
+    eventsource: 'eventsource',
+    script: 'script',
+    img: 'image'
+};
+
+// HTML 内容中不检测文本的元素
+NetworkMonitor.SKIPPED_HTML_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+// 结果类型对应的内容描述
+NetworkMonitor.BODY_LABELS = {
+    request_body: '请求参数',
+    response: '响应内容',
+    message_sent: '发送消息',
+    message_received: '收到消息'
+};
+
+// 与 network-interceptor.js 中的握手消息类型一致
+NetworkMonitor.HANDSHAKE = 'keyword-detector:network-bridge';
+
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = NetworkMonitor;
 } else {
@@ -0,0 +1,197 @@
+/**
+ * 选择器生成器 - 为检测结果生成能唯一定位元素的 CSS 选择器和 XPath
+ *
+ * CSS 选择器优先使用稳定的属性（data-testid、id、name、aria-label 等）和类名，
+ * 不够唯一时逐级向上加入祖先，并用 querySelectorAll 验证只匹配目标元素。
+ * 看起来是自动生成的值（长数字串、CSS-in-JS 类名等）会被跳过，避免页面重新渲染后失效。
+ * Shadow DOM 中的元素生成的 CSS 选择器在所在的 Shadow Root 内唯一。
+ *
+ * XPath 可以指向元素或文本节点（如 /html/body/p[2]/text()[1]），跨越 Shadow DOM 时
+ * 用 #shadow-root 分隔，如 /html/body/my-card/#shadow-root/div[2]，其后的路径相对于宿主的 Shadow Root。
+ */
+class SelectorGenerator {
+    /**
+     * 生成唯一匹配元素的 CSS 选择器
+     * @param {Element} element - 目标元素
+     * @returns {string} 选择器；祖先路径都无法唯一定位时返回最完整的路径
+     */
+    generateCSSSelector(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const root = element.getRootNode();
+        const path = [];
+        let current = element;
+
+        while (current) {
+            for (const candidate of this.getCandidates(current)) {
+                const selector = [candidate].concat(path).join(' > ');
+                if (this.isUnique(root, selector, element)) {
+                    return selector;
+                }
+            }
+
+            path.unshift(this.getPositionStep(current));
+            current = current.parentElement;
+        }
+
+        return path.join(' > ');
+    }
+
+    /**
+     * 按优先级列出描述元素自身的选择器：稳定属性、类名、标签名
+     */
+    getCandidates(element) {
+        const tag = CSS.escape(element.localName);
+        const candidates = [];
+
+        SelectorGenerator.STABLE_ATTRIBUTES.forEach(name => {
+            const value = element.getAttribute(name);
+            if (value === null || !SelectorGenerator.isStableValue(value)) return;
+
+            candidates.push(name === 'id' ?
+                `#${CSS.escape(value)}` :
+                `${tag}[${name}=${SelectorGenerator.quoteAttributeValue(value)}]`);
+        });
+
+        // SVG 元素的 className 不是字符串，统一通过 classList 读取
+        const classes = Array.from(element.classList)
+            .filter(name => SelectorGenerator.isStableValue(name))
+            .map(name => `.${CSS.escape(name)}`);
+        classes.forEach(name => candidates.push(tag + name));
+        if (classes.length > 1) {
+            candidates.push(tag + classes.join(''));
+        }
+
+        candidates.push(tag);
+        return candidates;
+    }
+
+    /**
+     * 元素在同类型兄弟元素中的位置，只有一个同类型元素时省略序号
+     */
+    getPositionStep(element) {
+        const tag = CSS.escape(element.localName);
+        const siblings = element.parentNode ?
+            Array.from(element.parentNode.children).filter(node => node.localName === element.localName) :
+            [element];
+
+        return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(element) + 1})` : tag;
+    }
+
+    isUnique(root, selector, element) {
+        try {
+            const matches = root.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 生成节点的 XPath
+     * @param {Node} node - 元素或文本节点
+     * @returns {string}
+     */
+    generateXPath(node) {
+        if (!node) return '';
+
+        const steps = [];
+        let current = node;
+
+        while (current && (current.nodeType === Node.ELEMENT_NODE || current.nodeType === Node.TEXT_NODE)) {
+            if (current.nodeType === Node.ELEMENT_NODE && this.hasUniqueId(current)) {
+                steps.unshift(`//*[@id=${SelectorGenerator.toXPathLiteral(current.id)}]`);
+                return steps.join('/');
+            }
+
+            steps.unshift(this.getXPathStep(current));
+
+            const parent = current.parentNode;
+            if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) {
+                steps.unshift(SelectorGenerator.SHADOW_ROOT_STEP);
+                current = parent.host;
+            } else {
+                current = parent;
+            }
+        }
+
+        return '/' + steps.join('/');
+    }
+
+    /**
+     * 生成 XPath 中的一级，有同名兄弟节点时加上序号；非 HTML 命名空间的元素（如 SVG）用 local-name() 匹配
+     */
+    getXPathStep(node) {
+        const isText = node.nodeType === Node.TEXT_NODE;
+        const isSame = sibling => isText ?
+            sibling.nodeType === Node.TEXT_NODE :
+            sibling.nodeType === Node.ELEMENT_NODE && sibling.localName === node.localName &&
+                sibling.namespaceURI === node.namespaceURI;
+
+        const siblings = node.parentNode ? Array.from(node.parentNode.childNodes).filter(isSame) : [node];
+        const index = siblings.length > 1 ? `[${siblings.indexOf(node) + 1}]` : '';
+
+        if (isText) {
+            return `text()${index}`;
+        }
+        if (node.namespaceURI === SelectorGenerator.HTML_NAMESPACE) {
+            return node.localName + index;
+        }
+        return `*[local-name()=${SelectorGenerator.toXPathLiteral(node.localName)}]${index}`;
+    }
+
+    /**
+     * XPath 从文档开始求值，只有位于文档（而非 Shadow Root）中且 id 唯一的元素可以用 id 定位
+     */
+    hasUniqueId(element) {
+        const root = element.getRootNode();
+        return Boolean(element.id) && root.nodeType === Node.DOCUMENT_NODE &&
+            SelectorGenerator.isStableValue(element.id) &&
+            this.isUnique(root, `#${CSS.escape(element.id)}`, element);
+    }
+
+    /**
+     * 判断属性值或类名是否稳定，跳过过长或像是自动生成的值
+     */
+    static isStableValue(value) {
+        return value.trim() !== '' && value.length <= SelectorGenerator.MAX_VALUE_LENGTH &&
+            !SelectorGenerator.GENERATED_VALUE.test(value);
+    }
+
+    static quoteAttributeValue(value) {
+        const escaped = value
+            .replace(/["\\]/g, '\\$&')
+            .replace(/[\n\r\f]/g, char => `\\${char.charCodeAt(0).toString(16)} `);
+        return `"${escaped}"`;
+    }
+
+    /**
+     * 转为 XPath 字符串字面量，同时包含单双引号时用 concat() 拼接
+     */
+    static toXPathLiteral(value) {
+        if (!value.includes('"')) return `"${value}"`;
+        if (!value.includes("'")) return `'${value}'`;
+        return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+    }
+}
+
+// 按优先级排列的稳定属性
+SelectorGenerator.STABLE_ATTRIBUTES = [
+    'data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy',
+    'id', 'name', 'aria-label', 'aria-labelledby', 'for', 'alt', 'title', 'type', 'role'
+];
+
+// 自动生成的值：连续 4 位以上的数字、CSS-in-JS 类名、React useId 生成的 id
+SelectorGenerator.GENERATED_VALUE = /\d{4,}|^(?:css|sc|jsx|emotion|svelte)-|^:r[0-9a-z]+:$/;
+
+SelectorGenerator.MAX_VALUE_LENGTH = 64;
+
+SelectorGenerator.SHADOW_ROOT_STEP = '#shadow-root';
+
+SelectorGenerator.HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectorGenerator;
+} else {
+    window.SelectorGenerator = SelectorGenerator;
+}
@@ -0,0 +1,197 @@
+/**
+ * 文本归一化 - 在匹配前消除全角字符、零宽字符、繁简差异、变音符号和形近字母等规避手段
+ *
+ * 归一化后的每个字符都记录其在原文中的位置，匹配结果可以映射回原文偏移，
+ * 保证高亮位置准确。
+ */
+class TextNormalizer {
+    constructor(options = {}) {
+        this.setOptions(options);
+    }
+
+    /**
+     * 默认开启全部归一化步骤
+     */
+    static get defaultOptions() {
+        return {
+            fullWidth: true,
+            invisible: true,
+            traditional: true,
+            diacritics: true,
+            confusables: true
+        };
+    }
+
+    /**
+     * 设置归一化选项
+     * @param {Object} options - 各归一化步骤的开关，未指定的使用默认值
+     */
+    setOptions(options = {}) {
+        this.options = { ...TextNormalizer.defaultOptions, ...options };
+    }
+
+    /**
+     * 归一化文本
+     * @param {string} text - 原始文本
+     * @param {Object} config - { lowerCase: 是否同时转换为小写 }
+     * @returns {Object} { text: 归一化文本, starts, ends }，starts/ends 为每个字符在原文中的起止位置，
+     *                   文本未发生变化时为 null
+     */
+    normalize(text, config = {}) {
+        const lowerCase = Boolean(config.lowerCase);
+        let output = '';
+        const starts = [];
+        const ends = [];
+        let changed = false;
+        let offset = 0;
+
+        for (const char of text) {
+            const normalized = this.normalizeChar(char, lowerCase);
+            if (normalized !== char) {
+                changed = true;
+            }
+
+            for (let i = 0; i < normalized.length; i++) {
+                starts.push(offset);
+                ends.push(offset + char.length);
+            }
+            output += normalized;
+            offset += char.length;
+        }
+
+        if (!changed) {
+            return { text: text, starts: null, ends: null };
+        }
+        return { text: output, starts: starts, ends: ends };
+    }
+
+    /**
+     * 依次执行各归一化步骤
+     * @param {string} char - 单个字符（码点）
+     * @param {boolean} lowerCase - 是否转换为小写
+     * @returns {string} 归一化结果，可能为空字符串
+     */
+    normalizeChar(char, lowerCase) {
+        const { options } = this;
+        let result = char;
+
+        if (options.invisible && TextNormalizer.INVISIBLE_CHARS.test(result)) {
+            return '';
+        }
+
+        if (options.fullWidth) {
+            const code = result.charCodeAt(0);
+            if (code >= 0xFF01 && code <= 0xFF5E) {
+                result = String.fromCharCode(code - 0xFEE0);
+            } else if (code === 0x3000) {
+                result = ' ';
+            }
+        }
+
+        if (options.traditional) {
+            const index = result.length === 1 ? TextNormalizer.TRADITIONAL_CHARS.indexOf(result) : -1;
+            if (index !== -1) {
+                result = TextNormalizer.SIMPLIFIED_CHARS[index];
+            }
+        }
+
+        if (options.confusables && TextNormalizer.CONFUSABLES[result]) {
+            result = TextNormalizer.CONFUSABLES[result];
+        }
+
+        if (lowerCase) {
+            result = result.toLowerCase();
+        }
+
+        if (options.diacritics) {
+            const decomposed = result.normalize('NFD');
+            const stripped = decomposed.replace(/[\u0300-\u036f]/g, '');
+            // 只处理"基础字符 + 变音符号"的组合，避免拆开韩文音节等其他分解形式
+            if (stripped !== decomposed) {
+                result = stripped;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 去除归一化文本中的分隔符（空白、标点、符号和表情），用于识别被拆开书写的关键词
+     * @param {Object} normalized - normalize() 的返回值
+     * @returns {Object} 与 normalize() 结构相同，starts/ends 仍指向原文位置
+     */
+    static removeSeparators(normalized) {
+        const source = normalized.text;
+        let output = '';
+        const starts = [];
+        const ends = [];
+        let index = 0;
+
+        for (const char of source) {
+            if (!TextNormalizer.SEPARATOR_CHAR.test(char)) {
+                for (let i = 0; i < char.length; i++) {
+                    starts.push(normalized.starts ? normalized.starts[index + i] : index + i);
+                    ends.push(normalized.ends ? normalized.ends[index + i] : index + i + 1);
+                }
+                output += char;
+            }
+            index += char.length;
+        }
+
+        return { text: output, starts: starts, ends: ends };
+    }
+
+    /**
+     * 去除字符串中的分隔符
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    static stripSeparators(text) {
+        return TextNormalizer.removeSeparators({ text: text, starts: null, ends: null }).text;
+    }
+
+    /**
+     * 将归一化文本中的范围映射回原文
+     * @param {Object} normalized - normalize() 的返回值
+     * @param {number} start - 归一化文本中的起始位置
+     * @param {number} end - 归一化文本中的结束位置（不含）
+     * @returns {Object} 原文中的范围 { start, end }
+     */
+    static mapRange(normalized, start, end) {
+        if (!normalized.starts) {
+            return { start: start, end: end };
+        }
+        return {
+            start: normalized.starts[start],
+            end: normalized.ends[end - 1]
+        };
+    }
+}
+
+// 零宽字符、软连字符、方向控制符等不可见字符
+TextNormalizer.INVISIBLE_CHARS = /^[\u00AD\u034F\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]$/;
+
+// 分隔符：空白、标点、符号（含大部分表情）以及表情变体选择符
+TextNormalizer.SEPARATOR_CHAR = /^[\s\p{P}\p{S}\p{Extended_Pictographic}\uFE0E\uFE0F]$/u;
+
+// 常用繁体字与简体字对照（按位置一一对应）
+TextNormalizer.TRADITIONAL_CHARS = '違詐騙虛賭錢幣銀貸帳戶號碼網絡頁購買賣價費優獎勵紅團體據際國黃藥醫療檢測驗證書單層點擊聯係們這個為時來說對會發開關門間問題實現經濟營業務產廠場報導傳訊電話機車運動員數庫處辦學習專衛讓給從後還進過邊遠樣種盡壓廣歷鬥雙齊區極樂義烏憂麗眾寶貨貿資質賬賠賺財販賤貴負貢贏輸軟載轉輪鐵鋼錯鎖長陳陽陰隊隨險隱難雜雞離靈響頭顯風飛飯館馬驚髮鬧魚鳥麥龍龜擔擇擴擁擬攝撥換損搖搶掃揚認識計記設許論講謝謊譯議讀變讚詳誠誤課調談請諾謀賽虧蘭藝蔣範節築簽籌級紀約紙細終組結絕統綠維綜線編練緣總績織縣罰聖聞聲肅腦臉舊蘇補裝複覺視親觀貝閉閱闆陸愛態慮慶憑應懷戰戲熱燈爺牆獨獲環畫當瘋盤盜確礙禮禍稅穩窮競筆別劃劑劍勞勢協卻廳縮歲殺氣淚減溫滅滿漢潔澤濕災無煙鄉釋醬鍵閃陣雖韓頂順須預領頻顏類顧飲飽養餅餘騎驅髒鬆黨齒';
+TextNormalizer.SIMPLIFIED_CHARS = '违诈骗虚赌钱币银贷账户号码网络页购买卖价费优奖励红团体据际国黄药医疗检测验证书单层点击联系们这个为时来说对会发开关门间问题实现经济营业务产厂场报导传讯电话机车运动员数库处办学习专卫让给从后还进过边远样种尽压广历斗双齐区极乐义乌忧丽众宝货贸资质账赔赚财贩贱贵负贡赢输软载转轮铁钢错锁长陈阳阴队随险隐难杂鸡离灵响头显风飞饭馆马惊发闹鱼鸟麦龙龟担择扩拥拟摄拨换损摇抢扫扬认识计记设许论讲谢谎译议读变赞详诚误课调谈请诺谋赛亏兰艺蒋范节筑签筹级纪约纸细终组结绝统绿维综线编练缘总绩织县罚圣闻声肃脑脸旧苏补装复觉视亲观贝闭阅板陆爱态虑庆凭应怀战戏热灯爷墙独获环画当疯盘盗确碍礼祸税稳穷竞笔别划剂剑劳势协却厅缩岁杀气泪减温灭满汉洁泽湿灾无烟乡释酱键闪阵虽韩顶顺须预领频颜类顾饮饱养饼余骑驱脏松党齿';
+
+// 与拉丁字母形近的西里尔字母和希腊字母
+TextNormalizer.CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+    'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i',
+    'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+    'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X', 'Ѕ': 'S', 'І': 'I', 'Ј': 'J',
+    'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'υ': 'u',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M',
+    'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextNormalizer;
+} else {
+    self.TextNormalizer = TextNormalizer;
+}
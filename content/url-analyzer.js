@@ -0,0 +1,452 @@
+/**
+ * 地址解析器 - 将链接和资源地址拆分为协议、主机、路径、查询和片段，供关键词按组成部分匹配
+ *
+ * 百分号编码会被逐层解码，国际化域名（punycode）会还原为 Unicode；
+ * 查询参数、片段或路径中嵌套的地址（如跳转链接 ?url=https%3A%2F%2Fpaypal.com）会被递归解析。
+ */
+class UrlAnalyzer {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 3;
+    }
+
+    /**
+     * 判断属性是否为地址属性
+     * @param {string} attrName - 属性名
+     * @returns {boolean}
+     */
+    static isUrlAttribute(attrName) {
+        const name = attrName.toLowerCase();
+        return UrlAnalyzer.URL_ATTRIBUTES.includes(name) ||
+            ['url', 'link', 'href', 'src', 'action', 'endpoint'].some(part => name.includes(part));
+    }
+
+    /**
+     * 拆分属性中的多个地址，如 srcset 的候选图片和 ping 的地址列表
+     * @param {string} attrName - 属性名
+     * @param {string} value - 属性值
+     * @returns {string[]}
+     */
+    static splitUrlList(attrName, value) {
+        const name = attrName.toLowerCase();
+        if (name === 'srcset' || name === 'imagesrcset') {
+            return value.split(/,\s+/)
+                .map(candidate => candidate.trim().split(/\s+/)[0])
+                .filter(url => url);
+        }
+        if (name === 'ping' || name === 'archive') {
+            return value.split(/[\s,]+/).filter(url => url);
+        }
+        return value.trim() ? [value.trim()] : [];
+    }
+
+    /**
+     * 解析地址及其中嵌套的地址
+     * @param {string} value - 地址字符串
+     * @param {string} baseUrl - 解析相对地址使用的基准地址
+     * @returns {Array} 地址视图 { url, depth, components: [{ name, value, raw }] }，raw 为解码前的文本，
+     *                  depth 为 0 表示地址本身，大于 0 表示嵌套在其中的地址
+     */
+    analyze(value, baseUrl = self.location.href) {
+        const views = [];
+        const seen = new Set();
+        this.collectViews(value, baseUrl, 0, views, seen);
+        return views;
+    }
+
+    /**
+     * 列出地址中需要匹配的文本：各层地址的组成部分，无法解析的地址按普通文本匹配
+     * @param {string} value - 属性值或地址
+     * @param {string} baseUrl - 解析相对地址使用的基准地址
+     * @param {string} attrName - 属性名，用于拆分 srcset 等包含多个地址的属性
+     * @returns {Array} { text, options, view, raw }，view 为所属的地址视图，无法解析时为 null；raw 为解码前的文本
+     */
+    getMatchTexts(value, baseUrl, attrName = 'href') {
+        const texts = [];
+
+        UrlAnalyzer.splitUrlList(attrName, value).forEach(url => {
+            const views = this.analyze(url, baseUrl);
+            if (views.length === 0) {
+                texts.push({ text: url, options: { scope: 'attribute' }, view: null, raw: url });
+                return;
+            }
+
+            views.forEach(view => {
+                UrlAnalyzer.COMPONENTS.forEach(name => {
+                    const component = view.components.find(item => item.name === name);
+                    if (component) {
+                        texts.push({ text: component.value, options: { scope: 'attribute', urlComponent: name }, view: view, raw: component.raw });
+                    }
+                });
+            });
+        });
+
+        return texts;
+    }
+
+    /**
+     * 按组成部分匹配地址及其中嵌套的地址，每个关键词只保留最先命中的组成部分
+     * @param {string} value - 属性值或地址
+     * @param {string} baseUrl - 解析相对地址使用的基准地址
+     * @param {string} attrName - 属性名
+     * @param {Function} findGroups - (text, options) => 按关键词归并的匹配 { keyword, matches, matchedText, evasion, ... }
+     * @returns {Array} findGroups 返回的分组，另含 urlComponent（命中的组成部分）、
+     *                  matchedUrl（命中所在的地址）和 urlDepth（嵌套层级，0 为地址本身）
+     */
+    findMatches(value, baseUrl, attrName, findGroups) {
+        const groups = new Map();
+        const addGroup = (group, text, raw, extra) => {
+            const key = `${group.matches[0].order}:${Boolean(group.suppressedBy)}`;
+            if (groups.has(key)) return;
+
+            // 解码改变了命中的文本，说明关键词经过了编码处理
+            const evasion = UrlAnalyzer.isDecodedMatch(group, text, raw) ?
+                group.evasion.concat('url-encoding') : group.evasion;
+            groups.set(key, { ...group, evasion: evasion, ...extra });
+        };
+
+        const texts = this.getMatchTexts(value, baseUrl, attrName);
+        // 例外短语可能跨越组成部分（如 paypal.com/legal），以完整地址上的判断为准
+        const fullUrlGroups = new Map();
+        texts.forEach(({ text, options, view }) => {
+            if (view && options.urlComponent === 'url') {
+                fullUrlGroups.set(view, { text: text, groups: findGroups(text, options) });
+            }
+        });
+
+        texts.forEach(({ text, options, view, raw }) => {
+            const fullUrl = view ? fullUrlGroups.get(view) : null;
+            let found = fullUrl && options.urlComponent === 'url' ? fullUrl.groups : findGroups(text, options);
+            if (fullUrl && options.urlComponent !== 'url') {
+                found = UrlAnalyzer.applyFullUrlRules(found, UrlAnalyzer.getComponentOffset(view, options.urlComponent, fullUrl.text),
+                    fullUrl.groups);
+            }
+
+            found.forEach(group => addGroup(group, text, raw, view ? {
+                urlComponent: options.urlComponent,
+                matchedUrl: view.url,
+                urlDepth: view.depth
+            } : {}));
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => a.matches[0].order - b.matches[0].order);
+    }
+
+    /**
+     * 命中的文本是否只在解码后出现：解码前后的文本相同，或命中的片段原样出现在解码前的文本中时不算
+     * @param {Object} group - 匹配分组，matches 的位置相对于解码后的文本
+     * @param {string} text - 解码后的文本
+     * @param {string} raw - 解码前的文本
+     * @returns {boolean}
+     */
+    static isDecodedMatch(group, text, raw) {
+        if (raw === undefined || raw === text) return false;
+
+        const lowerRaw = raw.toLowerCase();
+        return group.matches.some(match => !lowerRaw.includes(text.slice(match.start, match.end).toLowerCase()));
+    }
+
+    /**
+     * 组成部分在完整地址文本中的起始位置；组成部分按在地址中出现的顺序排列，依次向后查找
+     * @returns {number} 找不到时（如查询中的 + 已替换为空格）返回 -1
+     */
+    static getComponentOffset(view, name, fullText) {
+        let cursor = 0;
+        for (const component of view.components) {
+            if (component.name === 'url') break;
+
+            const index = fullText.indexOf(component.value, cursor);
+            if (component.name === name) return index;
+            if (index !== -1) {
+                cursor = index + component.value.length;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * 按完整地址上被例外短语忽略的命中，忽略组成部分中相同位置的命中
+     * @param {Array} groups - 组成部分中的匹配分组
+     * @param {number} offset - 组成部分在完整地址中的位置，-1 表示无法定位
+     * @param {Array} fullGroups - 完整地址中的匹配分组
+     * @returns {Array} 部分命中被忽略的分组拆分为保留和忽略两组
+     */
+    static applyFullUrlRules(groups, offset, fullGroups) {
+        const spans = fullGroups.filter(group => group.suppressedBy).flatMap(group =>
+            group.matches.map(match => ({ order: match.order, start: match.start, end: match.end, rule: group.suppressedBy })));
+        if (spans.length === 0) return groups;
+
+        // 无法定位时，只有完整地址中该关键词的命中全部被忽略，才忽略组成部分中的命中
+        const keptOrders = new Set(fullGroups.filter(group => !group.suppressedBy)
+            .flatMap(group => group.matches.map(match => match.order)));
+        const findSpan = match => offset === -1 ?
+            spans.find(span => span.order === match.order && !keptOrders.has(match.order)) :
+            spans.find(span => span.order === match.order &&
+                span.start < offset + match.end && offset + match.start < span.end);
+
+        return groups.flatMap(group => {
+            if (group.suppressedBy) return [group];
+
+            const kept = [];
+            const suppressed = [];
+            let rule = null;
+            group.matches.forEach(match => {
+                const span = findSpan(match);
+                if (span) {
+                    suppressed.push(match);
+                    rule = rule || span.rule;
+                } else {
+                    kept.push(match);
+                }
+            });
+
+            if (suppressed.length === 0) return [group];
+            const split = [];
+            if (kept.length > 0) {
+                split.push({ ...group, matches: kept, matchedText: kept[0].text });
+            }
+            split.push({ ...group, matches: suppressed, matchedText: suppressed[0].text, suppressedBy: rule });
+            return split;
+        });
+    }
+
+    collectViews(value, baseUrl, depth, views, seen) {
+        let parsed;
+        try {
+            parsed = new URL(value, baseUrl);
+        } catch (error) {
+            return;
+        }
+
+        if (seen.has(parsed.href)) return;
+        seen.add(parsed.href);
+
+        // 相对地址的协议、主机和所在目录来自当前页面，不属于地址本身的内容，路径、查询和片段只取自原始文本
+        const absolute = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(value.trim());
+        const hierarchical = parsed.host !== '';
+        const parts = absolute ?
+            { path: parsed.pathname, query: parsed.search.replace(/^\?/, ''), fragment: parsed.hash.replace(/^#/, '') } :
+            UrlAnalyzer.splitRelativeUrl(value.trim());
+        const components = [];
+        const addComponent = (name, raw, decoded = UrlAnalyzer.decodeComponent(raw)) => {
+            components.push({ name: name, value: decoded, raw: raw });
+        };
+
+        if (absolute) {
+            addComponent('scheme', parsed.protocol.replace(/:$/, ''), parsed.protocol.replace(/:$/, ''));
+            if (hierarchical) {
+                addComponent('host', parsed.hostname, UrlAnalyzer.toUnicodeHost(parsed.hostname));
+            }
+        }
+        addComponent('path', parts.path);
+        addComponent('query', parts.query.replace(/\+/g, ' '));
+        addComponent('fragment', parts.fragment);
+
+        const url = absolute ? parsed.href : value.trim();
+        views.push({
+            url: parsed.href,
+            depth: depth,
+            components: components
+                .filter(component => component.value)
+                .concat({ name: 'url', value: UrlAnalyzer.decodeComponent(url), raw: url })
+        });
+
+        if (depth >= this.maxDepth) return;
+
+        // 查询参数值、片段和路径中嵌套的地址
+        const candidates = [];
+        new URLSearchParams(parts.query).forEach(paramValue => candidates.push(UrlAnalyzer.decodeComponent(paramValue)));
+        candidates.push(UrlAnalyzer.decodeComponent(parts.fragment));
+        candidates.push(UrlAnalyzer.decodeComponent(parts.path));
+
+        candidates.forEach(candidate => {
+            UrlAnalyzer.findEmbeddedUrls(candidate).forEach(nested => {
+                this.collectViews(nested, parsed.href, depth + 1, views, seen);
+            });
+        });
+    }
+
+    /**
+     * 按原始文本拆分相对地址的路径、查询和片段，不并入当前页面的目录
+     * @param {string} value - 相对地址
+     * @returns {Object} { path, query, fragment }，均为解码前的文本
+     */
+    static splitRelativeUrl(value) {
+        const hashIndex = value.indexOf('#');
+        const beforeHash = hashIndex === -1 ? value : value.slice(0, hashIndex);
+        const queryIndex = beforeHash.indexOf('?');
+        return {
+            path: queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex),
+            query: queryIndex === -1 ? '' : beforeHash.slice(queryIndex + 1),
+            fragment: hashIndex === -1 ? '' : value.slice(hashIndex + 1)
+        };
+    }
+
+    /**
+     * 查找文本中嵌入的绝对地址
+     * @param {string} text - 已解码的文本
+     * @returns {string[]}
+     */
+    static findEmbeddedUrls(text) {
+        if (!text) return [];
+
+        const urls = text.match(/(?:https?|ftp|wss?):\/\/[^\s"'<>]+/gi) || [];
+        if (urls.length === 0 && /^www\.[^\s/]+\.[a-z]{2,}/i.test(text)) {
+            urls.push(`http://${text}`);
+        }
+        return urls;
+    }
+
+    /**
+     * 提取 CSS 文本中的 url() 和 @import 地址
+     * @param {string} cssText - CSS 文本
+     * @returns {string[]}
+     */
+    static extractCssUrls(cssText) {
+        const urls = [];
+        if (!cssText) return urls;
+
+        const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+        const importPattern = /@import\s+(['"])(.*?)\1/gi;
+        let match;
+        while ((match = urlPattern.exec(cssText)) !== null) {
+            urls.push(match[2]);
+        }
+        while ((match = importPattern.exec(cssText)) !== null) {
+            urls.push(match[2]);
+        }
+        return urls;
+    }
+
+    /**
+     * 逐层解码百分号编码，直到结果不再变化（处理多次编码的地址）
+     * @param {string} text - 编码文本
+     * @returns {string}
+     */
+    static decodeComponent(text) {
+        let current = text;
+        for (let i = 0; i < UrlAnalyzer.MAX_DECODE_PASSES; i++) {
+            const decoded = UrlAnalyzer.safeDecode(current);
+            if (decoded === current) break;
+            current = decoded;
+        }
+        return current;
+    }
+
+    /**
+     * 解码百分号编码，无效的编码序列保持原样
+     */
+    static safeDecode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text.replace(/(?:%[0-9a-f]{2})+/gi, sequence => {
+                try {
+                    return decodeURIComponent(sequence);
+                } catch (innerError) {
+                    return sequence;
+                }
+            });
+        }
+    }
+
+    /**
+     * 将主机名中的 punycode 标签还原为 Unicode
+     * @param {string} hostname - 主机名
+     * @returns {string}
+     */
+    static toUnicodeHost(hostname) {
+        return hostname.split('.').map(label => {
+            if (!/^xn--/i.test(label)) return label;
+            try {
+                return UrlAnalyzer.decodePunycode(label.slice(4).toLowerCase());
+            } catch (error) {
+                return label;
+            }
+        }).join('.');
+    }
+
+    /**
+     * Punycode 解码（RFC 3492）
+     * @param {string} input - 去掉 "xn--" 前缀的标签
+     * @returns {string}
+     */
+    static decodePunycode(input) {
+        const base = 36;
+        const tMin = 1;
+        const tMax = 26;
+        const output = [];
+        let n = 128;
+        let i = 0;
+        let bias = 72;
+
+        const basicLength = Math.max(input.lastIndexOf('-'), 0);
+        for (let j = 0; j < basicLength; j++) {
+            output.push(input.charCodeAt(j));
+        }
+
+        for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+            const oldI = i;
+            for (let w = 1, k = base; ; k += base) {
+                if (index >= input.length) {
+                    throw new Error('无效的 punycode');
+                }
+                const digit = UrlAnalyzer.punycodeDigit(input.charCodeAt(index++));
+                if (digit >= base) {
+                    throw new Error('无效的 punycode');
+                }
+
+                i += digit * w;
+                const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                if (digit < t) break;
+                w *= base - t;
+            }
+
+            const length = output.length + 1;
+            bias = UrlAnalyzer.adaptPunycodeBias(i - oldI, length, oldI === 0);
+            n += Math.floor(i / length);
+            i %= length;
+            output.splice(i++, 0, n);
+        }
+
+        return String.fromCodePoint(...output);
+    }
+
+    static punycodeDigit(code) {
+        if (code >= 48 && code <= 57) return code - 22;
+        if (code >= 65 && code <= 90) return code - 65;
+        if (code >= 97 && code <= 122) return code - 97;
+        return 36;
+    }
+
+    static adaptPunycodeBias(delta, numPoints, firstTime) {
+        let k = 0;
+        delta = firstTime ? Math.floor(delta / 700) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        while (delta > 455) {
+            delta = Math.floor(delta / 35);
+            k += 36;
+        }
+        return k + Math.floor(36 * delta / (delta + 38));
+    }
+}
+
+// 地址组成部分，按匹配时的优先顺序排列；url 为完整地址
+UrlAnalyzer.COMPONENTS = ['host', 'path', 'query', 'fragment', 'scheme', 'url'];
+
+// 多次编码的地址最多解码的层数
+UrlAnalyzer.MAX_DECODE_PASSES = 5;
+
+// 地址相关的属性，这些都需要检测
+UrlAnalyzer.URL_ATTRIBUTES = [
+    'href', 'src', 'action', 'formaction', 'data-url', 'data-link',
+    'data-href', 'data-src', 'data-action', 'poster', 'cite',
+    'longdesc', 'usemap', 'manifest', 'ping', 'background',
+    'codebase', 'archive', 'classid', 'data', 'profile', 'srcset', 'imagesrcset'
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlAnalyzer;
+} else {
+    self.UrlAnalyzer = UrlAnalyzer;
+}
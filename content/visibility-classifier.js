@@ -0,0 +1,148 @@
+/**
+ * 可见性分类 - 判断检测结果所在元素是否真正呈现给访问者
+ *
+ * 按以下顺序判断，命中第一项即返回：
+ * - metadata: 标题、meta、script 等不渲染的元素
+ * - collapsed: 位于未展开的 <details> 中（<summary> 除外）
+ * - hidden: 自身或祖先 display:none、opacity:0、content-visibility:hidden，或自身 visibility:hidden
+ * - zero-size: 宽或高为 0（包括 1px 的屏幕阅读器专用文本）
+ * - offscreen: 完全位于页面范围之外，如 left:-9999px
+ * - covered: 元素中心点在视口内，且最上层是与其无关的其它元素
+ * - visible: 以上都不是
+ */
+class VisibilityClassifier {
+    /**
+     * 计算元素的可见性
+     * @param {Element} element - 结果所在的元素
+     * @param {Object} location - getElementLocation 返回的页面坐标 { x, y, width, height }
+     * @returns {string} 可见性状态，见 VisibilityClassifier.STATES
+     */
+    classify(element, location) {
+        if (VisibilityClassifier.UNRENDERED_TAGS.includes(element.tagName) ||
+            (document.head && document.head.contains(element))) {
+            return 'metadata';
+        }
+        if (this.isInClosedDetails(element)) {
+            return 'collapsed';
+        }
+        if (this.isHiddenByStyle(element)) {
+            return 'hidden';
+        }
+        if (!location || location.width <= 1 || location.height <= 1) {
+            return 'zero-size';
+        }
+        if (this.isOutsidePage(location)) {
+            return 'offscreen';
+        }
+        if (this.isCovered(element, location)) {
+            return 'covered';
+        }
+        return 'visible';
+    }
+
+    /**
+     * 获取渲染树中的父元素，Shadow Root 顶层元素的父元素为宿主
+     */
+    static getParent(node) {
+        if (node.parentElement) return node.parentElement;
+        return node.parentNode && node.parentNode.host ? node.parentNode.host : null;
+    }
+
+    isInClosedDetails(element) {
+        let child = element;
+        let current = VisibilityClassifier.getParent(element);
+        while (current) {
+            if (current.tagName === 'DETAILS' && !current.open) {
+                // 只有第一个 <summary> 在折叠时仍然显示
+                const summary = Array.from(current.children).find(node => node.tagName === 'SUMMARY');
+                if (child !== summary) return true;
+            }
+            child = current;
+            current = VisibilityClassifier.getParent(current);
+        }
+        return false;
+    }
+
+    isHiddenByStyle(element) {
+        const ownStyle = window.getComputedStyle(element);
+        if (ownStyle.visibility === 'hidden' || ownStyle.visibility === 'collapse') {
+            return true;
+        }
+
+        let current = element;
+        while (current) {
+            const style = current === element ? ownStyle : window.getComputedStyle(current);
+            if (style.display === 'none' || parseFloat(style.opacity) === 0 ||
+                (current !== element && style.contentVisibility === 'hidden')) {
+                return true;
+            }
+            current = VisibilityClassifier.getParent(current);
+        }
+        return false;
+    }
+
+    isOutsidePage(location) {
+        const root = document.documentElement;
+        const pageWidth = Math.max(root.scrollWidth, root.clientWidth, window.innerWidth);
+        const pageHeight = Math.max(root.scrollHeight, root.clientHeight, window.innerHeight);
+
+        return location.x + location.width <= 0 || location.y + location.height <= 0 ||
+            location.x >= pageWidth || location.y >= pageHeight;
+    }
+
+    /**
+     * 判断元素中心点是否被其它元素遮挡；中心点不在视口内时无法判断，视为未遮挡
+     */
+    isCovered(element, location) {
+        const x = location.x + location.width / 2 - window.scrollX;
+        const y = location.y + location.height / 2 - window.scrollY;
+        if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+            return false;
+        }
+
+        // Shadow DOM 中的元素需要在所在的 Shadow Root 上查询，才能得到内部的最上层元素
+        const rootNode = element.getRootNode();
+        const scope = rootNode && typeof rootNode.elementFromPoint === 'function' ? rootNode : document;
+        const topElement = scope.elementFromPoint(x, y);
+        if (!topElement || topElement.closest('[data-keyword-annotator]')) {
+            return false;
+        }
+
+        return !this.isRelated(element, topElement);
+    }
+
+    /**
+     * 判断两个元素是否互为祖先（可跨越 Shadow DOM 边界）或相同
+     */
+    isRelated(element, other) {
+        const contains = (ancestor, node) => {
+            let current = node;
+            while (current) {
+                if (current === ancestor) return true;
+                current = VisibilityClassifier.getParent(current);
+            }
+            return false;
+        };
+        return contains(element, other) || contains(other, element);
+    }
+}
+
+// 可见性状态及其显示名称
+VisibilityClassifier.STATES = {
+    'visible': '可见',
+    'covered': '被遮挡',
+    'offscreen': '页面外',
+    'zero-size': '零尺寸',
+    'hidden': '已隐藏',
+    'collapsed': '已折叠',
+    'metadata': '元数据'
+};
+
+// 不会渲染的元素
+VisibilityClassifier.UNRENDERED_TAGS = ['TITLE', 'META', 'SCRIPT', 'LINK', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisibilityClassifier;
+} else {
+    window.VisibilityClassifier = VisibilityClassifier;
+}
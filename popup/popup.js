@@ -1,13 +1,25 @@
 class PopupController {
     constructor() {
         this.debounceTimer = null;
+        this.tabId = null;
+        // 每次检测的序号，旧的检测被中止后不再更新界面
+        this.scanSequence = 0;
         this.init();
     }
 
     async init() {
         try {
             this.bindEventListeners();
+            this.setupMessageListener();
             await this.loadSavedKeywords();
+            await this.loadWatchMode();
+            await this.loadNormalizationOptions();
+            await this.loadVisibilityFilter();
+            await this.loadCategories();
+            await this.loadExceptionRules();
+            await this.loadDomainSettings();
+            await this.loadNetworkMonitorMode();
+            await this.loadBodyLimit();
             
             // 自动开始检测
             this.debounceAutoDetect();
@@ -24,12 +36,507 @@ class PopupController {
                 this.debounceAutoDetect();
             });
         }
+
+        this.getNormalizationCheckboxes().forEach(checkbox => {
+            checkbox.addEventListener('change', async () => {
+                await this.saveNormalizationOptions();
+                this.debounceAutoDetect();
+            });
+        });
+
+        this.getVisibilityCheckboxes().forEach(checkbox => {
+            checkbox.addEventListener('change', async () => {
+                await this.saveVisibilityFilter();
+                this.debounceAutoDetect();
+            });
+        });
+
+        const obfuscationToggle = document.getElementById('obfuscationToggle');
+        if (obfuscationToggle) {
+            obfuscationToggle.addEventListener('change', async () => {
+                try {
+                    await chrome.storage.local.set({ obfuscationMode: obfuscationToggle.checked });
+                } catch (error) {
+                    console.error('❌ 保存防规避设置失败:', error);
+                }
+                this.debounceAutoDetect();
+            });
+        }
+
+        const categoriesInput = document.getElementById('categoriesInput');
+        if (categoriesInput) {
+            categoriesInput.addEventListener('input', async () => {
+                await this.saveCategories();
+                this.debounceAutoDetect();
+            });
+        }
+
+        const exceptionRulesInput = document.getElementById('exceptionRulesInput');
+        if (exceptionRulesInput) {
+            exceptionRulesInput.addEventListener('input', async () => {
+                await this.saveExceptionRules();
+                this.debounceAutoDetect();
+            });
+        }
+
+        const domainScanToggle = document.getElementById('domainScanToggle');
+        if (domainScanToggle) {
+            domainScanToggle.addEventListener('change', async () => {
+                try {
+                    await chrome.storage.local.set({ domainScanMode: domainScanToggle.checked });
+                } catch (error) {
+                    console.error('❌ 保存域名清单设置失败:', error);
+                }
+                this.scanDomains();
+            });
+        }
+
+        const networkMonitorToggle = document.getElementById('networkMonitorToggle');
+        if (networkMonitorToggle) {
+            networkMonitorToggle.addEventListener('change', () => {
+                this.setNetworkMonitor(networkMonitorToggle.checked);
+            });
+        }
+
+        const exportHarButton = document.getElementById('exportHarButton');
+        if (exportHarButton) {
+            exportHarButton.addEventListener('click', () => this.exportHar());
+        }
+
+        const bodyLimitInput = document.getElementById('bodyLimitInput');
+        if (bodyLimitInput) {
+            bodyLimitInput.addEventListener('change', () => this.saveBodyLimit());
+        }
+
+        ['allowDomainsInput', 'denyDomainsInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', async () => {
+                    await this.saveDomainRules();
+                    this.debounceAutoDetect();
+                });
+            }
+        });
+
+        const watchToggle = document.getElementById('watchToggle');
+        if (watchToggle) {
+            watchToggle.addEventListener('change', () => {
+                this.saveWatchMode(watchToggle.checked);
+            });
+        }
+    }
+
+    getNormalizationCheckboxes() {
+        return document.querySelectorAll('input[data-normalization]');
+    }
+
+    async loadNormalizationOptions() {
+        try {
+            const result = await chrome.storage.local.get(['normalization', 'obfuscationMode']);
+            const options = { ...TextNormalizer.defaultOptions, ...(result.normalization || {}) };
+            this.getNormalizationCheckboxes().forEach(checkbox => {
+                checkbox.checked = Boolean(options[checkbox.dataset.normalization]);
+            });
+
+            const obfuscationToggle = document.getElementById('obfuscationToggle');
+            if (obfuscationToggle) {
+                obfuscationToggle.checked = Boolean(result.obfuscationMode);
+            }
+        } catch (error) {
+            console.error('❌ 加载匹配设置失败:', error);
+        }
+    }
+
+    async saveNormalizationOptions() {
+        try {
+            const options = {};
+            this.getNormalizationCheckboxes().forEach(checkbox => {
+                options[checkbox.dataset.normalization] = checkbox.checked;
+            });
+            await chrome.storage.local.set({ normalization: options });
+        } catch (error) {
+            console.error('❌ 保存归一化设置失败:', error);
+        }
+    }
+
+    getVisibilityCheckboxes() {
+        return document.querySelectorAll('input[data-visibility]');
+    }
+
+    async loadVisibilityFilter() {
+        try {
+            const result = await chrome.storage.local.get(['visibilityFilter']);
+            // 未设置时展示所有可见性的结果
+            const states = Array.isArray(result.visibilityFilter) ? result.visibilityFilter : null;
+            this.getVisibilityCheckboxes().forEach(checkbox => {
+                checkbox.checked = !states || states.includes(checkbox.dataset.visibility);
+            });
+        } catch (error) {
+            console.error('❌ 加载可见性筛选失败:', error);
+        }
+    }
+
+    async saveVisibilityFilter() {
+        try {
+            const states = Array.from(this.getVisibilityCheckboxes())
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => checkbox.dataset.visibility);
+            await chrome.storage.local.set({ visibilityFilter: states });
+        } catch (error) {
+            console.error('❌ 保存可见性筛选失败:', error);
+        }
+    }
+
+    async loadCategories() {
+        try {
+            const result = await chrome.storage.local.get(['keywordCategories']);
+            const categoriesInput = document.getElementById('categoriesInput');
+            if (categoriesInput && Array.isArray(result.keywordCategories)) {
+                categoriesInput.value = result.keywordCategories
+                    .map(category => `${category.name}: ${category.severity}`)
+                    .join('\n');
+            }
+        } catch (error) {
+            console.error('❌ 加载关键词分类失败:', error);
+        }
+    }
+
+    async saveCategories() {
+        try {
+            const categoriesInput = document.getElementById('categoriesInput');
+            if (categoriesInput) {
+                const { categories, errors } = KeywordMatcher.parseCategoryList(categoriesInput.value);
+                this.showErrors('categoryErrors', errors.map(error => `无效分类 ${error.line}: ${error.message}`));
+
+                await chrome.storage.local.set({ keywordCategories: categories });
+            }
+        } catch (error) {
+            console.error('❌ 保存关键词分类失败:', error);
+        }
+    }
+
+    async loadExceptionRules() {
+        try {
+            const result = await chrome.storage.local.get(['exceptionRules']);
+            const exceptionRulesInput = document.getElementById('exceptionRulesInput');
+            if (exceptionRulesInput && Array.isArray(result.exceptionRules)) {
+                exceptionRulesInput.value = result.exceptionRules
+                    .map(rule => ExceptionRules.formatRule(rule))
+                    .join('\n');
+                this.showErrors('exceptionErrors', new ExceptionRules(result.exceptionRules).errors
+                    .map(error => `无效规则 ${error.rule}: ${error.message}`));
+            }
+        } catch (error) {
+            console.error('❌ 加载例外规则失败:', error);
+        }
+    }
+
+    async saveExceptionRules() {
+        try {
+            const exceptionRulesInput = document.getElementById('exceptionRulesInput');
+            if (exceptionRulesInput) {
+                const rules = ExceptionRules.parseRuleList(exceptionRulesInput.value);
+                this.showErrors('exceptionErrors', new ExceptionRules(rules).errors
+                    .map(error => `无效规则 ${error.rule}: ${error.message}`));
+
+                await chrome.storage.local.set({ exceptionRules: rules });
+            }
+        } catch (error) {
+            console.error('❌ 保存例外规则失败:', error);
+        }
+    }
+
+    async loadDomainSettings() {
+        try {
+            const result = await chrome.storage.local.get(['domainScanMode', 'domainRules']);
+            const domainScanToggle = document.getElementById('domainScanToggle');
+            if (domainScanToggle) {
+                domainScanToggle.checked = Boolean(result.domainScanMode);
+            }
+
+            const rules = result.domainRules || {};
+            const allowInput = document.getElementById('allowDomainsInput');
+            const denyInput = document.getElementById('denyDomainsInput');
+            if (allowInput) {
+                allowInput.value = (rules.allow || []).join('\n');
+            }
+            if (denyInput) {
+                denyInput.value = (rules.deny || []).join('\n');
+            }
+        } catch (error) {
+            console.error('❌ 加载域名设置失败:', error);
+        }
+    }
+
+    async saveDomainRules() {
+        try {
+            const allowInput = document.getElementById('allowDomainsInput');
+            const denyInput = document.getElementById('denyDomainsInput');
+            await chrome.storage.local.set({
+                domainRules: {
+                    allow: allowInput ? DomainInventory.parseDomainList(allowInput.value) : [],
+                    deny: denyInput ? DomainInventory.parseDomainList(denyInput.value) : []
+                }
+            });
+        } catch (error) {
+            console.error('❌ 保存域名规则失败:', error);
+        }
+    }
+
+    /**
+     * 开启外部域名清单时，扫描当前页面引用的第三方域名
+     */
+    async scanDomains() {
+        const domainScanToggle = document.getElementById('domainScanToggle');
+        const domainStatus = document.getElementById('domainStatus');
+        if (!domainScanToggle || !domainStatus) return;
+
+        if (!domainScanToggle.checked) {
+            domainStatus.style.display = 'none';
+            return;
+        }
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'scanDomains'
+            }, { frameId: 0 });
+
+            domainStatus.style.display = 'block';
+            if (response && response.success) {
+                const { totalHosts, flaggedHosts } = response.statistics;
+                domainStatus.textContent = `外部域名 ${totalHosts} 个，已标记 ${flaggedHosts} 个`;
+                domainStatus.className = flaggedHosts > 0 ? 'domain-status flagged' : 'domain-status';
+                console.log('外部域名清单:', response.inventory);
+            } else {
+                domainStatus.textContent = '域名清单生成失败';
+                domainStatus.className = 'domain-status';
+            }
+        } catch (error) {
+            console.error('❌ 域名清单生成失败:', error);
+        }
+    }
+
+    async loadNetworkMonitorMode() {
+        try {
+            const result = await chrome.storage.local.get(['networkMonitorMode']);
+            const networkMonitorToggle = document.getElementById('networkMonitorToggle');
+            if (networkMonitorToggle) {
+                networkMonitorToggle.checked = Boolean(result.networkMonitorMode);
+            }
+        } catch (error) {
+            console.error('❌ 加载网络监控设置失败:', error);
+        }
+    }
+
+    async loadBodyLimit() {
+        try {
+            const result = await chrome.storage.local.get(['networkBodyLimit']);
+            const bodyLimitInput = document.getElementById('bodyLimitInput');
+            if (bodyLimitInput && result.networkBodyLimit) {
+                bodyLimitInput.value = result.networkBodyLimit;
+            }
+        } catch (error) {
+            console.error('❌ 加载网络请求内容上限失败:', error);
+        }
+    }
+
+    async saveBodyLimit() {
+        try {
+            const bodyLimitInput = document.getElementById('bodyLimitInput');
+            if (bodyLimitInput) {
+                // 留空或无效时恢复默认上限
+                const limit = parseInt(bodyLimitInput.value, 10);
+                await chrome.storage.local.set({ networkBodyLimit: limit > 0 ? limit : null });
+            }
+        } catch (error) {
+            console.error('❌ 保存网络请求内容上限失败:', error);
+        }
+    }
+
+    /**
+     * 开启或关闭当前页面的网络请求监控，设置对之后打开的页面同样生效
+     * @param {boolean} enabled - 是否开启
+     */
+    async setNetworkMonitor(enabled) {
+        try {
+            await chrome.storage.local.set({ networkMonitorMode: enabled });
+
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: enabled ? 'startNetworkMonitor' : 'stopNetworkMonitor'
+            }, { frameId: 0 });
+
+            if (enabled && !(response && response.success)) {
+                this.showNetworkStatus('无法监控此页面的网络请求', false);
+                return;
+            }
+        } catch (error) {
+            console.error('❌ 切换网络监控失败:', error);
+        }
+        await this.loadNetworkResults();
+    }
+
+    /**
+     * 获取当前页面网络请求中的检测结果
+     */
+    async loadNetworkResults() {
+        const networkMonitorToggle = document.getElementById('networkMonitorToggle');
+        const exportHarButton = document.getElementById('exportHarButton');
+        const monitoring = Boolean(networkMonitorToggle && networkMonitorToggle.checked);
+        if (exportHarButton) {
+            exportHarButton.style.display = monitoring ? 'block' : 'none';
+        }
+        if (!monitoring) {
+            this.showNetworkStatus(null);
+            return;
+        }
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'getNetworkResults'
+            }, { frameId: 0 });
+
+            if (response && response.success) {
+                const suppressedNote = response.suppressedCount > 0 ? `（已忽略 ${response.suppressedCount} 个）` : '';
+                this.showNetworkStatus(`网络请求：${this.formatIssueSummary(response.count, response.severity)}${suppressedNote}`,
+                    response.count > 0);
+                if (response.count > 0) {
+                    console.log('网络请求检测结果:', response.results);
+                }
+            } else {
+                this.showNetworkStatus('网络检测结果获取失败', false);
+            }
+        } catch (error) {
+            console.error('❌ 获取网络检测结果失败:', error);
+        }
+    }
+
+    /**
+     * 将当前页面的网络请求日志导出为 HAR 文件，每条请求附带其中的检测结果
+     */
+    async exportHar() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+
+            const response = await chrome.tabs.sendMessage(tab.id, {
+                action: 'exportNetworkHar'
+            }, { frameId: 0 });
+
+            if (!response || !response.success) {
+                this.showNetworkStatus('网络请求记录导出失败', false);
+                return;
+            }
+            if (response.count === 0) {
+                this.showNetworkStatus('还没有记录到网络请求', false);
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(response.har, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${new URL(response.url).hostname || 'page'}-${Date.now()}.har`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('❌ 导出网络请求记录失败:', error);
+            this.showNetworkStatus('网络请求记录导出失败', false);
+        }
+    }
+
+    /**
+     * 获取后台请求审计记录的当前标签页问题，包括脚本、图片等内容脚本看不到的请求
+     */
+    async loadTabFindings() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+
+            const response = await chrome.runtime.sendMessage({ action: 'getTabFindings', tabId: tab.id });
+            if (!response || !response.success) {
+                this.showStatusLine('requestAuditStatus', null);
+                return;
+            }
+
+            const suppressedNote = response.suppressedCount > 0 ? `（已忽略 ${response.suppressedCount} 个）` : '';
+            this.showStatusLine('requestAuditStatus',
+                `全部请求：${this.formatIssueSummary(response.count, response.severity)}${suppressedNote}`,
+                response.count > 0);
+            if (response.count > 0) {
+                console.log('请求审计结果:', response.findings);
+            }
+        } catch (error) {
+            console.error('❌ 获取请求审计结果失败:', error);
+        }
+    }
+
+    showNetworkStatus(text, flagged = false) {
+        this.showStatusLine('networkStatus', text, flagged);
+    }
+
+    /**
+     * @param {string} id - 状态行元素 ID
+     * @param {string|null} text - 状态文本，为 null 时隐藏
+     * @param {boolean} flagged - 是否发现问题
+     */
+    showStatusLine(id, text, flagged = false) {
+        const statusLine = document.getElementById(id);
+        if (!statusLine) return;
+
+        statusLine.style.display = text ? 'block' : 'none';
+        statusLine.textContent = text || '';
+        statusLine.className = flagged ? 'domain-status flagged' : 'domain-status';
+    }
+
+    setupMessageListener() {
+        chrome.runtime.onMessage.addListener((message, sender) => {
+            if (!sender.tab || sender.tab.id !== this.tabId || sender.frameId !== 0) return;
+
+            // 实时监测发现变化时刷新当前标签页的计数
+            if (message.action === 'resultsUpdated') {
+                this.updateStatus(this.formatIssueSummary(message.count, message.severity), message.count, message.severity);
+            }
+            if (message.action === 'scanProgress') {
+                this.updateProgress(message);
+            }
+        });
+    }
+
+    async loadWatchMode() {
+        try {
+            const result = await chrome.storage.local.get(['watchMode']);
+            const watchToggle = document.getElementById('watchToggle');
+            if (watchToggle) {
+                watchToggle.checked = Boolean(result.watchMode);
+            }
+        } catch (error) {
+            console.error('❌ 加载监测设置失败:', error);
+        }
+    }
+
+    async saveWatchMode(enabled) {
+        try {
+            await chrome.storage.local.set({ watchMode: enabled });
+        } catch (error) {
+            console.error('❌ 保存监测设置失败:', error);
+        }
     }
 
     debounceAutoDetect() {
         clearTimeout(this.debounceTimer);
-        this.debounceTimer = setTimeout(() => {
-            this.autoStartScan();
+        this.debounceTimer = setTimeout(async () => {
+            await this.autoStartScan();
+            await this.scanDomains();
+            await this.loadNetworkResults();
+            await this.loadTabFindings();
         }, 1000);
     }
 
@@ -39,7 +546,9 @@ class PopupController {
             if (result.keywords && Array.isArray(result.keywords)) {
                 const keywordsInput = document.getElementById('keywordsInput');
                 if (keywordsInput) {
-                    keywordsInput.value = result.keywords.join(', ');
+                    keywordsInput.value = result.keywords
+                        .map(keyword => KeywordMatcher.formatKeyword(keyword))
+                        .join(', ');
                 }
             }
         } catch (error) {
@@ -51,11 +560,9 @@ class PopupController {
         try {
             const keywordsInput = document.getElementById('keywordsInput');
             if (keywordsInput) {
-                const keywords = keywordsInput.value
-                    .split(',')
-                    .map(k => k.trim())
-                    .filter(k => k);
-                
+                const keywords = KeywordMatcher.splitKeywordList(keywordsInput.value)
+                    .map(keyword => KeywordMatcher.parseKeywordOptions(keyword));
+
                 await chrome.storage.local.set({ keywords: keywords });
             }
         } catch (error) {
@@ -74,33 +581,59 @@ class PopupController {
             return;
         }
 
+        const sequence = ++this.scanSequence;
+
         try {
             this.showLoading(true);
             this.updateStatus('正在检测...', 0);
             
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
             
-            const keywordArray = keywords.split(',').map(k => k.trim()).filter(k => k);
+            const keywordArray = KeywordMatcher.splitKeywordList(keywords)
+                .map(keyword => KeywordMatcher.parseKeywordOptions(keyword));
             
             // 设置关键词
+            // 只与顶层框架通信，子框架的结果由顶层框架汇总
             const response = await chrome.tabs.sendMessage(tab.id, {
                 action: 'setKeywords',
                 keywords: keywordArray
-            });
+            }, { frameId: 0 });
             
             if (response && response.success) {
+                this.showKeywordErrors(response.errors || []);
+
                 // 开始检测
                 const scanResponse = await chrome.tabs.sendMessage(tab.id, {
                     action: 'startScan'
-                });
+                }, { frameId: 0 });
+                
+                // 已被新的检测取代
+                if (sequence !== this.scanSequence || (scanResponse && scanResponse.cancelled)) {
+                    return;
+                }
                 
                 if (scanResponse && scanResponse.success) {
                     const resultCount = scanResponse.results.length;
+                    const suppressedNote = scanResponse.suppressedCount > 0 ?
+                        `（已忽略 ${scanResponse.suppressedCount} 个）` : '';
+                    const filteredNote = scanResponse.filteredCount > 0 ?
+                        `（已筛除 ${scanResponse.filteredCount} 个）` : '';
+                    // 超时的子框架没有结果，不能视为没有问题
+                    const timedOutFrames = scanResponse.timedOutFrames || [];
+                    const timeoutNote = timedOutFrames.length > 0 ?
+                        `（${timedOutFrames.length} 个子框架检测超时，结果不完整）` : '';
+                    if (timedOutFrames.length > 0) {
+                        console.warn('检测超时的子框架:', timedOutFrames);
+                    }
+                    this.updateStatus(
+                        this.formatIssueSummary(resultCount, scanResponse.severity) + suppressedNote + filteredNote + timeoutNote,
+                        resultCount,
+                        scanResponse.severity
+                    );
                     if (resultCount > 0) {
-                        this.updateStatus(`发现 ${resultCount} 个问题`, resultCount);
                         console.log('检测结果:', scanResponse.results);
-                    } else {
-                        this.updateStatus('未发现问题', 0);
+                        console.log('可见性统计:', scanResponse.visibility);
                     }
                 } else {
                     this.updateStatus('检测失败', 0);
@@ -110,11 +643,30 @@ class PopupController {
             console.error('❌ 自动检测失败:', error);
             this.updateStatus('检测失败', 0);
         } finally {
-            this.showLoading(false);
+            if (sequence === this.scanSequence) {
+                this.showLoading(false);
+            }
         }
     }
 
-    updateStatus(text, count) {
+    /**
+     * 生成检测结果摘要，按严重程度列出数量
+     * @param {number} count - 结果总数
+     * @param {Object} severity - 各严重程度的数量 { block, warn, info }
+     * @returns {string}
+     */
+    formatIssueSummary(count, severity) {
+        if (!count) {
+            return '未发现问题';
+        }
+
+        const parts = KeywordMatcher.SEVERITIES
+            .filter(level => severity && severity[level] > 0)
+            .map(level => `${PopupController.SEVERITY_NAMES[level]} ${severity[level]}`);
+        return parts.length > 0 ? `发现 ${count} 个问题（${parts.join('，')}）` : `发现 ${count} 个问题`;
+    }
+
+    updateStatus(text, count, severity = null) {
         const statusText = document.getElementById('statusText');
         const resultCount = document.getElementById('resultCount');
         
@@ -123,17 +675,78 @@ class PopupController {
         }
         
         if (resultCount) {
+            // 计数颜色取最高的严重程度，一个阻断级问题比大量提示级问题更醒目
+            const highest = KeywordMatcher.SEVERITIES.find(level => severity && severity[level] > 0);
             resultCount.textContent = count;
-            resultCount.className = count > 0 ? 'result-count warning' : 'result-count';
+            resultCount.className = count > 0 ?
+                `result-count severity-${highest || KeywordMatcher.DEFAULT_SEVERITY}` : 'result-count';
         }
     }
 
+    showKeywordErrors(errors) {
+        this.showErrors('keywordErrors', errors.map(error => `无效关键词 ${error.keyword}: ${error.message}`));
+    }
+
+    showErrors(containerId, messages) {
+        const errorsContainer = document.getElementById(containerId);
+        if (!errorsContainer) return;
+
+        errorsContainer.textContent = '';
+        messages.forEach(message => {
+            const item = document.createElement('div');
+            item.className = 'keyword-error-item';
+            item.textContent = message;
+            errorsContainer.appendChild(item);
+        });
+        errorsContainer.style.display = messages.length > 0 ? 'block' : 'none';
+    }
+
     showLoading(show) {
         const spinner = document.getElementById('loadingSpinner');
         if (spinner) {
             spinner.style.display = show ? 'block' : 'none';
         }
+        if (show) {
+            this.updateProgress({ phase: null, processed: 0, total: 0, percent: 0 });
+        }
+    }
+
+    /**
+     * 更新检测进度条
+     * @param {Object} progress - { phase, processed, total, percent }
+     */
+    updateProgress(progress) {
+        const progressBar = document.getElementById('progressBar');
+        const progressLabel = document.getElementById('progressLabel');
+
+        if (progressBar) {
+            progressBar.style.width = `${progress.percent}%`;
+        }
+        if (progressLabel) {
+            const phaseName = PopupController.PHASE_NAMES[progress.phase];
+            const count = progress.total > 0 ? ` ${progress.processed}/${progress.total}` : '';
+            progressLabel.textContent = phaseName ? `正在检测${phaseName}${count}（${progress.percent}%）` : '检测中...';
+        }
     }
 }
 
+// 严重程度的显示名称
+PopupController.SEVERITY_NAMES = {
+    block: '阻断',
+    warn: '警告',
+    info: '提示'
+};
+
+// 检测阶段的显示名称
+PopupController.PHASE_NAMES = {
+    text: '文本内容',
+    inline: '跨元素文本',
+    attributes: '元素属性',
+    images: '图片',
+    forms: '表单',
+    metadata: '标题和元数据',
+    styles: '样式',
+    frames: '子框架'
+};
+
 new PopupController();
\ No newline at end of file